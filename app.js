@@ -1,5 +1,34 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import {
+  deg2rad, rad2deg, mod,
+  julianEpochFromUT, julianDayFromYMDHMS,
+  DELTA_T_MODELS, setDeltaTModel, getDeltaTModel,
+  deltaTForJD, deltaTUncertaintySeconds, decimalYearFromJD,
+  monthDayFromDOY, doyFromMonthDay, isLeapYear,
+  raDecToVec, vecToRaDec, matVec, ltp_PMAT,
+  equatorialJ2000ToHorizontalUnit,
+  hasSpaceMotion, starRaDecAtEpoch,
+  setAtmosphere, getAtmosphere, extinctionMagnitudes,
+  getExactTransitTime, raDecFromAzAlt,
+  jdTTFromUT, equatorialToHorizontalUnit,
+  STAR_EVENTS, getStarEventTime, trueAltitude, horizonCrossingAzimuth,
+  CALENDARS, EGYPTIAN_SEASONS, EGYPTIAN_MONTH_NAMES, calendarDateFromJD, julianDayFromCalendarDate, daysInMonth
+} from './astronomy.js';
+import {
+  SOLAR_SYSTEM_BODIES, geocentricEquatorialJ2000, moonEquatorialOfDate, topocentricRaDec,
+  SEASONS, findSolarLongitudeInstantUT, findCivilDawnUTHours
+} from './planets.js';
+import { findHeliacalEvents } from './heliacal.js';
+import { findAllMinima, goldenSectionMinimize } from './search.js';
+import { createRng, summarizeSamples } from './uncertainty.js';
+import { applyStarNames, searchStars, findStar, starLabel, starShortName, constellationName } from './starnames.js';
+import {
+  parseConstellationBounds, constellationAtJ2000, constellationAtEclipticLongitude,
+  eclipticLongitudeOfDate, zodiacalAgeOfDate, zodiacalAgeSpans
+} from './constellations.js';
+import { encodeViewState, decodeViewState } from './deeplink.js';
+import { renderMarkdown } from './markdown.js';
 
 // -----------------------------
 // Geodetic reference points (pyramid base centers)
@@ -10,12 +39,14 @@ const ORIGIN_SITES = {
     label: "Khufu",
     lat: 29 + 58/60 + 45/3600,   // 29°58′45″N
     lon: 31 + 8/60 + 3/3600,     // 31°08′03″E
+    latSigma: 1/3600, lonSigma: 1/3600,  // 1σ (deg): published coordinates are rounded to 1″
     offset: new THREE.Vector3(0.000, 0.000, 0.000)
   },
   sphinx: {
     label: "Sphinx",
     lat: 29 + 58/60 + 31/3600,   // 29°58′31″N (430m south of Khufu)
     lon: 31 + 8/60 + 15/3600,    // 31°08′15″E (320m east of Khufu)
+    latSigma: 1/3600, lonSigma: 1/3600,
     offset: new THREE.Vector3(320.0, -430.0, 0.0)
   }
 };
@@ -25,31 +56,26 @@ let REF_LAT_DEG = ORIGIN_SITES[currentOriginKey].lat;
 let REF_LON_DEG = ORIGIN_SITES[currentOriginKey].lon;
 let showFullGlobe = true;  // When true, show all stars; when false, hide near-side stars
 let showQueensShaft = true;  // When true, show Queen's Chamber shaft line
-let currentNearestZodiac = null;  // Nearest zodiac constellation to Sphinx sight line
-
-// Zodiac constellation names for display
-const ZODIAC_NAMES = {
-  'Ari': 'Aries', 'Tau': 'Taurus', 'Gem': 'Gemini', 'Cnc': 'Cancer',
-  'Leo': 'Leo', 'Vir': 'Virgo', 'Lib': 'Libra', 'Sco': 'Scorpio',
-  'Sgr': 'Sagittarius', 'Cap': 'Capricorn', 'Aqr': 'Aquarius', 'Psc': 'Pisces'
-};
+let showPlanets = true;  // When true, draw the Sun, Moon and naked-eye planets on the sky
+let currentNearestZodiac = null;  // Zodiac constellation (IAU boundaries) at the Sphinx sight line's ecliptic longitude
 
 // -----------------------------
-// Egyptian dynasties for timeline visualization
-// Dates in astronomical year numbering (negative = BCE)
-// -----------------------------
-const DYNASTIES = [
-  { name: "Predynastic", start: -5000, end: -3150, color: "#556B2F" },
-  { name: "Early Dynastic", start: -3150, end: -2686, color: "#8B4513" },
-  { name: "Old Kingdom", start: -2686, end: -2181, color: "#DAA520" },
-  { name: "1st Intermediate", start: -2181, end: -2055, color: "#A0522D" },
-  { name: "Middle Kingdom", start: -2055, end: -1650, color: "#CD853F" },
-  { name: "2nd Intermediate", start: -1650, end: -1550, color: "#D2691E" },
-  { name: "New Kingdom", start: -1550, end: -1069, color: "#B8860B" },
-  { name: "3rd Intermediate", start: -1069, end: -664, color: "#8B7355" },
-  { name: "Late Period", start: -664, end: -332, color: "#6B4423" },
-  { name: "Ptolemaic", start: -332, end: -30, color: "#4682B4" },
-];
+// Timeline tracks (chronologies, reigns, climate events), stacked in #dynastyTrack.
+// Loaded from tracks.json (settings.json "timelineTracks"); years in astronomical
+// numbering like the year input (0 = 1 BCE, -2685 = 2686 BCE):
+// [{ name, color, visible, items: [{ name, start, end, color, note }] }]
+// -----------------------------
+let timelineTracksUrl = "tracks.json";
+let TIMELINE_TRACKS = [];
+
+// Zodiacal age track colors (constellation holding the vernal equinox); the equinox
+// also passes through Ophiuchus and Cetus on the precession cycle
+const AGE_COLORS = {
+  Ari: "#B22222", Tau: "#8B5A2B", Gem: "#DAA520", Cnc: "#2E8B57", Leo: "#CD853F",
+  Vir: "#6B8E23", Lib: "#4682B4", Sco: "#8B0000", Oph: "#708090", Sgr: "#6A5ACD",
+  Cap: "#556B2F", Aqr: "#1E6FA8", Psc: "#20B2AA", Cet: "#5F7A8A"
+};
+const AGE_SCAN_STEP = 50;  // years between samples before bisecting a boundary crossing
 
 function updateCoordDisplay() {
   const el = document.getElementById('coordDec');
@@ -57,9 +83,6 @@ function updateCoordDisplay() {
 }
 updateCoordDisplay();
 
-const deg2rad = (d) => d * Math.PI / 180.0;
-const rad2deg = (r) => r * 180.0 / Math.PI;
-
 // -----------------------------
 // Renderer / scene / camera
 // -----------------------------
@@ -107,52 +130,30 @@ sceneMain.add(world);
 
 
 // -----------------------------
-// Wireframe pyramids (meters)
+// Monuments (meters), loaded from a survey dataset such as coordinates.json
 // Coordinate convention here: [X=East, Y=North, Z=Up]
-// Vertex order: NW, NE, SE, SW, APEX
+//
+// Supported monument types:
+//   pyramid  - "vertices" keyed by the dataset's vertex_order, wired with edges_by_index
+//   mastaba  - "footprint" [[x,y],...] extruded to "height", sides drawn in by "inset" (batter)
+//   temple   - same as mastaba (flat-topped building block)
+//   polygon  - explicit "vertices" [[x,y,z],...] + "faces" (index loops) + optional "edges",
+//              or a "footprint"/"height" prism
 // -----------------------------
-const edges = [
+const DEFAULT_VERTEX_ORDER = ["NW", "NE", "SE", "SW", "APEX"];
+const DEFAULT_EDGES = [
   [0,1],[1,2],[2,3],[3,0],
   [0,4],[1,4],[2,4],[3,4]
 ];
 
-const pyramids = [
-  {
-    name: "Khufu (Great Pyramid)",
-    vertices: [
-      [-115.165,  115.165,   0.000],
-      [ 115.165,  115.165,   0.000],
-      [ 115.165, -115.165,   0.000],
-      [-115.165, -115.165,   0.000],
-      [   0.000,    0.000, 146.600]
-    ]
-  },
-  {
-    name: "Khafre",
-    vertices: [
-      [-429.313, -231.090,   0.000],
-      [-214.063, -231.090,   0.000],
-      [-214.063, -446.340,   0.000],
-      [-429.313, -446.340,   0.000],
-      [-321.688, -338.715, 143.500]
-    ]
-  },
-  {
-    name: "Menkaure",
-    // Rectangular base: 102.2 × 104.6 (E-W × N-S) centered at (-562.954, -739.014)
-    vertices: [
-      [-615.254, -687.914,   0.000],
-      [-510.654, -687.914,   0.000],
-      [-510.654, -790.114,   0.000],
-      [-615.254, -790.114,   0.000],
-      [-562.954, -739.014,  65.000]
-    ]
-  }
-];
+// Known top-level keys of a dataset file (everything else is a monument)
+const DATASET_META_KEYS = new Set(["name", "source", "units", "axes", "vertex_order", "edges_by_index", "monuments"]);
 
-function makeWire(vertices, material) {
+let monuments = [];  // [{ key, name, type, vertices, faces, edges }]
+
+function makeWire(vertices, edgeList, material) {
   const positions = [];
-  for (const [a, b] of edges) {
+  for (const [a, b] of edgeList) {
     const va = vertices[a];
     const vb = vertices[b];
     positions.push(va[0], va[1], va[2], vb[0], vb[1], vb[2]);
@@ -162,25 +163,17 @@ function makeWire(vertices, material) {
   return new THREE.LineSegments(geom, material);
 }
 
-function makePyramidMesh(vertices, material) {
-  // vertices: [NW, NE, SE, SW, APEX] - 5 points
-  // Create 4 triangular faces (sides) + 2 triangles for base
+function makeMonumentMesh(vertices, faces, material) {
+  // faces: index loops (triangles, quads or convex polygons); each is fan-triangulated
   const positions = [];
-  const v = vertices.map(arr => new THREE.Vector3(arr[0], arr[1], arr[2]));
-
-  // 4 side faces (each connects 2 base vertices to apex)
-  // Face 0: NW-NE-APEX
-  positions.push(v[0].x, v[0].y, v[0].z, v[1].x, v[1].y, v[1].z, v[4].x, v[4].y, v[4].z);
-  // Face 1: NE-SE-APEX
-  positions.push(v[1].x, v[1].y, v[1].z, v[2].x, v[2].y, v[2].z, v[4].x, v[4].y, v[4].z);
-  // Face 2: SE-SW-APEX
-  positions.push(v[2].x, v[2].y, v[2].z, v[3].x, v[3].y, v[3].z, v[4].x, v[4].y, v[4].z);
-  // Face 3: SW-NW-APEX
-  positions.push(v[3].x, v[3].y, v[3].z, v[0].x, v[0].y, v[0].z, v[4].x, v[4].y, v[4].z);
-
-  // Base (2 triangles): NW-NE-SE and NW-SE-SW
-  positions.push(v[0].x, v[0].y, v[0].z, v[2].x, v[2].y, v[2].z, v[1].x, v[1].y, v[1].z);
-  positions.push(v[0].x, v[0].y, v[0].z, v[3].x, v[3].y, v[3].z, v[2].x, v[2].y, v[2].z);
+  for (const face of faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      for (const idx of [face[0], face[i], face[i + 1]]) {
+        const p = vertices[idx];
+        positions.push(p[0], p[1], p[2]);
+      }
+    }
+  }
 
   const geom = new THREE.BufferGeometry();
   geom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
@@ -188,6 +181,107 @@ function makePyramidMesh(vertices, material) {
   return new THREE.Mesh(geom, material);
 }
 
+function pyramidShape(entry, vertexOrder, edgeList) {
+  // Base corners followed by the apex, in the dataset's vertex order
+  const vertices = vertexOrder.map(name => entry.vertices[name]);
+  if (vertices.some(v => !Array.isArray(v))) return null;
+
+  const apex = vertices.length - 1;
+  const faces = [];
+  for (let i = 0; i < apex; i++) faces.push([i, (i + 1) % apex, apex]);
+  faces.push([...Array(apex).keys()].reverse());  // base
+
+  return { vertices, faces, edges: edgeList };
+}
+
+function prismShape(entry) {
+  // Extrude a footprint polygon to a flat top; "inset" pulls the top edge in toward the centroid
+  const foot = entry.footprint;
+  if (!Array.isArray(foot) || foot.length < 3) return null;
+
+  const n = foot.length;
+  const z0 = entry.base_z ?? 0;
+  const z1 = z0 + (entry.height ?? 0);
+  const inset = entry.inset ?? 0;
+  const cx = foot.reduce((s, p) => s + p[0], 0) / n;
+  const cy = foot.reduce((s, p) => s + p[1], 0) / n;
+
+  const vertices = [];
+  for (const [x, y] of foot) vertices.push([x, y, z0]);
+  for (const [x, y] of foot) {
+    const dx = cx - x, dy = cy - y;
+    const len = Math.hypot(dx, dy) || 1;
+    const k = Math.min(inset, len) / len;
+    vertices.push([x + dx * k, y + dy * k, z1]);
+  }
+
+  const faces = [];
+  const edgeList = [];
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    faces.push([i, j, n + j, n + i]);
+    edgeList.push([i, j], [n + i, n + j], [i, n + i]);
+  }
+  faces.push([...Array(n).keys()].reverse());       // bottom
+  faces.push([...Array(n).keys()].map(i => n + i)); // top
+
+  return { vertices, faces, edges: edgeList };
+}
+
+function polygonShape(entry) {
+  if (Array.isArray(entry.vertices) && Array.isArray(entry.faces)) {
+    let edgeList = entry.edges;
+    if (!Array.isArray(edgeList)) {
+      // Derive unique edges from the face loops
+      const seen = new Set();
+      edgeList = [];
+      for (const face of entry.faces) {
+        for (let i = 0; i < face.length; i++) {
+          const a = face[i], b = face[(i + 1) % face.length];
+          const k = a < b ? `${a}-${b}` : `${b}-${a}`;
+          if (seen.has(k)) continue;
+          seen.add(k);
+          edgeList.push([a, b]);
+        }
+      }
+    }
+    return { vertices: entry.vertices, faces: entry.faces, edges: edgeList };
+  }
+  return prismShape(entry);
+}
+
+// Normalize a coordinates dataset into a flat list of monuments
+function parseMonumentDataset(data) {
+  const vertexOrder = Array.isArray(data.vertex_order) ? data.vertex_order : DEFAULT_VERTEX_ORDER;
+  const edgeList = Array.isArray(data.edges_by_index) ? data.edges_by_index : DEFAULT_EDGES;
+
+  // Monuments may be listed under "monuments" or directly at top level (original format)
+  const source = (data.monuments && typeof data.monuments === 'object') ? data.monuments : data;
+
+  const result = [];
+  for (const [key, entry] of Object.entries(source)) {
+    if (source === data && DATASET_META_KEYS.has(key)) continue;
+    if (!entry || typeof entry !== 'object') continue;
+
+    const type = entry.type || (entry.footprint ? 'mastaba' : 'pyramid');
+    let shape = null;
+    if (type === 'pyramid') {
+      shape = pyramidShape(entry, entry.vertex_order || vertexOrder, entry.edges_by_index || edgeList);
+    } else if (type === 'mastaba' || type === 'temple') {
+      shape = prismShape(entry);
+    } else if (type === 'polygon') {
+      shape = polygonShape(entry);
+    }
+
+    if (!shape) {
+      console.warn(`Skipping monument "${key}": unsupported or incomplete ${type} definition`);
+      continue;
+    }
+    result.push({ key, name: entry.name || key.replace(/_/g, ' '), type, ...shape });
+  }
+  return result;
+}
+
 const pyramidMat = new THREE.MeshBasicMaterial({
   color: 0x8B7355,  // Sandy brown (same as Sphinx)
   transparent: true,
@@ -196,21 +290,36 @@ const pyramidMat = new THREE.MeshBasicMaterial({
 });
 const pyramidWireMat = new THREE.LineBasicMaterial({ color: 0x000000 });
 
-pyramids.forEach((p) => {
-  // Filled mesh
-  const mesh = makePyramidMesh(p.vertices, pyramidMat);
-  mesh.name = p.name;
-  mesh.frustumCulled = false;
-  mesh.renderOrder = 9;
-  world.add(mesh);
-
-  // Wireframe overlay
-  const wire = makeWire(p.vertices, pyramidWireMat);
-  wire.name = p.name + " (wire)";
-  wire.frustumCulled = false;
-  wire.renderOrder = 10;
-  world.add(wire);
-});
+const monumentGroup = new THREE.Group();
+monumentGroup.name = "Monuments";
+world.add(monumentGroup);
+
+function buildMonuments(list) {
+  // Dispose previous dataset's geometry before rebuilding
+  for (const obj of [...monumentGroup.children]) {
+    obj.geometry.dispose();
+    monumentGroup.remove(obj);
+  }
+
+  list.forEach((p) => {
+    // Filled mesh
+    const mesh = makeMonumentMesh(p.vertices, p.faces, pyramidMat);
+    mesh.name = p.name;
+    mesh.frustumCulled = false;
+    mesh.renderOrder = 9;
+    monumentGroup.add(mesh);
+
+    // Wireframe overlay
+    const wire = makeWire(p.vertices, p.edges, pyramidWireMat);
+    wire.name = p.name + " (wire)";
+    wire.frustumCulled = false;
+    wire.renderOrder = 10;
+    monumentGroup.add(wire);
+  });
+
+  monuments = list;
+  fitGroundPlane();
+}
 
 // -----------------------------
 // Khufu Internal Structure (King's Chamber, Queen's Chamber, passages)
@@ -386,55 +495,125 @@ world.add(sphinxGroup);
 // -----------------------------
 const ALNILAM_RA_RAD  = deg2rad((5 + 36/60 + 12.8/3600) * 15.0); // hours -> degrees -> radians
 const ALNILAM_DEC_RAD = deg2rad(-(1 + 12/60 + 7/3600));
+// Hipparcos astrometry (HIP 26311) so the beam follows the same space-motion model as the sky
+const ALNILAM = {
+  id: 26311, name: 'Alnilam', bayer: 'ε', con: 'Ori', mag: 1.69, raRad: ALNILAM_RA_RAD, decRad: ALNILAM_DEC_RAD,
+  pmRA: 1.44, pmDec: -0.78, plx: 1.65, rv: 25.9  // mas/yr, mas/yr, mas, km/s
+};
+
+// Thuban (α Draconis, HIP 68756), pole star of the Old Kingdom - King's north shaft
+const THUBAN = {
+  id: 68756, name: 'Thuban', bayer: 'α', con: 'Dra', mag: 3.67,
+  raRad: deg2rad(211.0973), decRad: deg2rad(64.3759),
+  pmRA: -56.52, pmDec: 17.19, plx: 10.56, rv: -13.0
+};
+
+// Kochab (β Ursae Minoris, HIP 72607) - Queen's north shaft
+const KOCHAB = {
+  id: 72607, name: 'Kochab', bayer: 'β', con: 'UMi', mag: 2.07,
+  raRad: deg2rad(222.6764), decRad: deg2rad(74.1555),
+  pmRA: -32.61, pmDec: 11.42, plx: 24.91, rv: 16.96
+};
+
+// Sirius (HIP 32349), default target for heliacal risings (Sothis) until the catalog loads
+const SIRIUS = {
+  id: 32349, name: 'Sirius', bayer: 'α', con: 'CMa', mag: -1.46,
+  raRad: deg2rad(101.2871553), decRad: deg2rad(-16.7161159),
+  pmRA: -546.01, pmDec: -1223.07, plx: 379.21, rv: -5.5
+};
 
 const angleEl = document.getElementById('angleReadout');
 
 // Sky sphere radius - all directional lines extend to this distance
 const SKY_RADIUS = 3500;
 
-// Red dashed line from King's Chamber toward Alnilam direction on the sky sphere.
-const alnilamBeamGeom = new THREE.BufferGeometry();
-const alnilamBeamMat = new THREE.LineDashedMaterial({
-  color: 0xff0000,
-  dashSize: 30,
-  gapSize: 15,
-  depthTest: false,
-  depthWrite: false
-});
-const alnilamBeam = new THREE.Line(alnilamBeamGeom, alnilamBeamMat);
-alnilamBeam.frustumCulled = false;
-alnilamBeam.renderOrder = 9999;
-sceneMain.add(alnilamBeam);
-// -----------------------------
-// Great Pyramid "star shaft" (fixed physical alignment)
-// Using the King's Chamber SOUTH shaft inclination ~45° (Gantenbrink survey / common references),
-// and an idealized azimuth of due South (180°). Real shafts include slight curvature and
-// published horizontal azimuths are less consistently reported than slopes.
-// -----------------------------
-const SHAFT_AZ_RAD  = deg2rad(180.0); // 0°=North (+Y), 90°=East (+X), 180°=South (-Y)
-const SHAFT_ALT_RAD = deg2rad(45.0);  // inclination above horizontal
-const shaftDir = new THREE.Vector3(
-  Math.sin(SHAFT_AZ_RAD) * Math.cos(SHAFT_ALT_RAD), // x (East)
-  Math.cos(SHAFT_AZ_RAD) * Math.cos(SHAFT_ALT_RAD), // y (North)
-  Math.sin(SHAFT_ALT_RAD)                            // z (Up)
-).normalize();
-
-// Black dashed line for shaft direction
-const shaftOrigin = new THREE.Vector3(0, 0, KINGS_CHAMBER_Z);
-const shaftEndpoint = shaftDir.clone().multiplyScalar(SKY_RADIUS).add(shaftOrigin);
-const shaftLineGeom = new THREE.BufferGeometry().setFromPoints([shaftOrigin, shaftEndpoint]);
-const shaftLineMat = new THREE.LineDashedMaterial({
-  color: 0x000000,
-  dashSize: 30,
-  gapSize: 15,
-  depthTest: false,
-  depthWrite: false
-});
-const shaftLine = new THREE.Line(shaftLineGeom, shaftLineMat);
-shaftLine.computeLineDistances();  // Required for dashed lines
-shaftLine.frustumCulled = false;
-shaftLine.renderOrder = 9998;
-sceneMain.add(shaftLine);
+// -----------------------------
+// Great Pyramid star shafts
+// Two shafts leave the King's Chamber and two the Queen's Chamber, one north and one south
+// each. Every shaft carries its inclination from two surveys and the star it is proposed to
+// have pointed at. Neither survey gives a horizontal azimuth, so each shaft has one nominal
+// bearing, due North or South, shared by both sets; a measured azimuth can be supplied per
+// survey through the settings.json "shafts" overrides.
+// -----------------------------
+const SHAFT_SURVEYS = {
+  gantenbrink: { label: "Gantenbrink 1993" },
+  petrie:      { label: "Petrie 1883" }
+};
+
+// az = nominal bearing, 0°=North (+Y), 90°=East (+X), 180°=South (-Y); alt = surveyed
+// inclination above horizontal. altSigma/azSigma = 1σ (deg), the spread between segments of
+// the shaft rather than instrument error; the north shafts detour around the Grand Gallery,
+// so their bearings are loosest.
+// Petrie did not survey the Queen's Chamber channels past their first few metres,
+// so his set falls back to Gantenbrink's robot measurements there.
+const SHAFTS = {
+  kingsSouth: {
+    label: "King's South", chamberZ: KINGS_CHAMBER_Z, queens: false, target: ALNILAM,
+    beamColor: 0xff0000, shaftColor: 0x000000, az: 180.0, azSigma: 0.25,
+    surveys: {
+      gantenbrink: { alt: 45.0, altSigma: 0.25 },
+      petrie:      { alt: 45.23, altSigma: 0.1 }
+    }
+  },
+  kingsNorth: {
+    label: "King's North", chamberZ: KINGS_CHAMBER_Z, queens: false, target: THUBAN,
+    beamColor: 0xff7f00, shaftColor: 0x000000, az: 0.0, azSigma: 1.0,
+    surveys: {
+      gantenbrink: { alt: 32.6, altSigma: 0.5 },
+      petrie:      { alt: 31.55, altSigma: 0.5 }
+    }
+  },
+  queensSouth: {
+    label: "Queen's South", chamberZ: QUEENS_CHAMBER_Z, queens: true, target: SIRIUS,
+    beamColor: 0x9b30ff, shaftColor: 0x666666, az: 180.0, azSigma: 0.25,
+    surveys: { gantenbrink: { alt: 39.47, altSigma: 0.25 } }
+  },
+  queensNorth: {
+    label: "Queen's North", chamberZ: QUEENS_CHAMBER_Z, queens: true, target: KOCHAB,
+    beamColor: 0x00a060, shaftColor: 0x666666, az: 0.0, azSigma: 1.0,
+    surveys: { gantenbrink: { alt: 39.12, altSigma: 0.5 } }
+  }
+};
+
+let currentShaftSurvey = 'gantenbrink';
+let activeShaftKey = 'kingsSouth';  // drives the readouts, culmination lock, error chart and alignment search
+
+function activeShaft() { return SHAFTS[activeShaftKey]; }
+
+// Shafts are drawn from the Khufu origin only; the Queen's pair has its own toggle
+function isShaftShown(shaft) {
+  return currentOriginKey === 'khufu' && (!shaft.queens || showQueensShaft);
+}
+
+// Inclination/azimuth of a shaft in the current survey (falls back to Gantenbrink); the
+// bearing is the shaft's nominal one unless the survey set overrides it
+function shaftSurveyValues(shaft) {
+  const survey = shaft.surveys[currentShaftSurvey] || shaft.surveys.gantenbrink;
+  return { az: shaft.az, azSigma: shaft.azSigma, ...survey };
+}
+
+function dirFromAzAlt(azRad, altRad) {
+  return new THREE.Vector3(
+    Math.sin(azRad) * Math.cos(altRad), // x (East)
+    Math.cos(azRad) * Math.cos(altRad), // y (North)
+    Math.sin(altRad)                    // z (Up)
+  ).normalize();
+}
+
+function makeDashedLine(color, renderOrder) {
+  const mat = new THREE.LineDashedMaterial({
+    color,
+    dashSize: 30,
+    gapSize: 15,
+    depthTest: false,
+    depthWrite: false
+  });
+  const line = new THREE.Line(new THREE.BufferGeometry(), mat);
+  line.frustumCulled = false;
+  line.renderOrder = renderOrder;
+  sceneMain.add(line);
+  return line;
+}
 
 // -----------------------------
 // Endpoint rings on the sky sphere (unfilled circles like Sphinx style)
@@ -442,91 +621,75 @@ sceneMain.add(shaftLine);
 const ENDPOINT_RING_RADIUS = 40; // outer radius
 const ENDPOINT_RING_WIDTH = 6;   // ring thickness
 
-// Red ring for Alnilam beam endpoint
-const alnilamRingGeom = new THREE.RingGeometry(ENDPOINT_RING_RADIUS - ENDPOINT_RING_WIDTH, ENDPOINT_RING_RADIUS, 48);
-const alnilamDiskMat = new THREE.MeshBasicMaterial({
-  color: 0xff0000,
-  side: THREE.DoubleSide,
-  transparent: true,
-  opacity: 0.8,
-  depthTest: false,
-  depthWrite: false
-});
-const alnilamDisk = new THREE.Mesh(alnilamRingGeom, alnilamDiskMat);
-alnilamDisk.frustumCulled = false;
-alnilamDisk.renderOrder = 10000;
-sceneMain.add(alnilamDisk);
-
-// Black ring for shaft line endpoint
-const shaftRingGeom = new THREE.RingGeometry(ENDPOINT_RING_RADIUS - ENDPOINT_RING_WIDTH, ENDPOINT_RING_RADIUS, 48);
-const shaftDiskMat = new THREE.MeshBasicMaterial({
-  color: 0x000000,
-  side: THREE.DoubleSide,
-  transparent: true,
-  opacity: 0.8,
-  depthTest: false,
-  depthWrite: false
-});
-const shaftDisk = new THREE.Mesh(shaftRingGeom, shaftDiskMat);
-shaftDisk.frustumCulled = false;
-shaftDisk.renderOrder = 9999;
-sceneMain.add(shaftDisk);
-
-// Position shaft ring (static - shaft direction doesn't change)
-shaftDisk.position.copy(shaftEndpoint);
-shaftDisk.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), shaftDir);
-
-// -----------------------------
-// Queen's Chamber SOUTH shaft
-// Inclination ~39.47° (Gantenbrink survey), azimuth due South (180°)
-// -----------------------------
-const QUEENS_SHAFT_AZ_RAD  = deg2rad(180.0); // due South
-const QUEENS_SHAFT_ALT_RAD = deg2rad(39.47); // inclination above horizontal
-const queensShaftDir = new THREE.Vector3(
-  Math.sin(QUEENS_SHAFT_AZ_RAD) * Math.cos(QUEENS_SHAFT_ALT_RAD),
-  Math.cos(QUEENS_SHAFT_AZ_RAD) * Math.cos(QUEENS_SHAFT_ALT_RAD),
-  Math.sin(QUEENS_SHAFT_ALT_RAD)
-).normalize();
-
-// Dashed line for Queen's shaft
-const queensShaftOrigin = new THREE.Vector3(0, 0, QUEENS_CHAMBER_Z);
-const queensShaftEndpoint = queensShaftDir.clone().multiplyScalar(SKY_RADIUS).add(queensShaftOrigin);
-const queensShaftGeom = new THREE.BufferGeometry().setFromPoints([queensShaftOrigin, queensShaftEndpoint]);
-const queensShaftMat = new THREE.LineDashedMaterial({
-  color: 0x666666,
-  dashSize: 30,
-  gapSize: 15,
-  depthTest: false,
-  depthWrite: false
-});
-const queensShaftLine = new THREE.Line(queensShaftGeom, queensShaftMat);
-queensShaftLine.computeLineDistances();
-queensShaftLine.frustumCulled = false;
-queensShaftLine.renderOrder = 9997;
-sceneMain.add(queensShaftLine);
+function makeEndpointRing(color, renderOrder) {
+  const geom = new THREE.RingGeometry(ENDPOINT_RING_RADIUS - ENDPOINT_RING_WIDTH, ENDPOINT_RING_RADIUS, 48);
+  const mat = new THREE.MeshBasicMaterial({
+    color,
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0.8,
+    depthTest: false,
+    depthWrite: false
+  });
+  const ring = new THREE.Mesh(geom, mat);
+  ring.frustumCulled = false;
+  ring.renderOrder = renderOrder;
+  sceneMain.add(ring);
+  return ring;
+}
+
+// Per shaft: dashed shaft line + ring (fixed), dashed star beam + ring (follow the sky)
+for (const shaft of Object.values(SHAFTS)) {
+  shaft.origin = new THREE.Vector3(0, 0, shaft.chamberZ);
+  shaft.line = makeDashedLine(shaft.shaftColor, 9998);
+  shaft.ring = makeEndpointRing(shaft.shaftColor, 9999);
+  shaft.beam = makeDashedLine(shaft.beamColor, 9999);
+  shaft.beamRing = makeEndpointRing(shaft.beamColor, 10000);
+}
+
+// (Re)aim every shaft line for the current survey
+function applyShaftSurvey() {
+  for (const shaft of Object.values(SHAFTS)) {
+    const { alt, az } = shaftSurveyValues(shaft);
+    shaft.altRad = deg2rad(alt);
+    shaft.azRad = deg2rad(az);
+    shaft.dir = dirFromAzAlt(shaft.azRad, shaft.altRad);
+
+    const end = shaft.dir.clone().multiplyScalar(SKY_RADIUS).add(shaft.origin);
+    shaft.line.geometry.setFromPoints([shaft.origin, end]);
+    shaft.line.computeLineDistances();  // Required for dashed lines
+    shaft.ring.position.copy(end);
+    shaft.ring.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), shaft.dir);
+  }
+}
+applyShaftSurvey();
+
+function applyShaftVisibility() {
+  for (const shaft of Object.values(SHAFTS)) {
+    const shown = isShaftShown(shaft);
+    shaft.line.visible = shown;
+    shaft.ring.visible = shown;
+    shaft.beam.visible = shown;
+    shaft.beamRing.visible = shown;
+    if (!shown) shaft.errorArc.visible = false;
+  }
+}
 
 // -----------------------------
-// Sphinx sight line - pointing due East, angled 15° upward
+// Sphinx sight line - due East and 15° upward by default; azimuth and altitude are
+// adjustable, with a true-horizon option that pins the altitude to 0°
 // The Sphinx faces east toward the rising sun on the equinox
 // -----------------------------
-const SPHINX_SIGHT_AZ_RAD  = deg2rad(90.0);  // Due East (+X)
-const SPHINX_SIGHT_ALT_RAD = deg2rad(15.0);  // 15° above horizontal
-const sphinxSightDir = new THREE.Vector3(
-  Math.sin(SPHINX_SIGHT_AZ_RAD) * Math.cos(SPHINX_SIGHT_ALT_RAD),
-  Math.cos(SPHINX_SIGHT_AZ_RAD) * Math.cos(SPHINX_SIGHT_ALT_RAD),
-  Math.sin(SPHINX_SIGHT_ALT_RAD)
-).normalize();
+let sphinxSight = { azDeg: 90.0, altDeg: 15.0, trueHorizon: false };
+const sphinxSightDir = new THREE.Vector3();
 
 const SPHINX_SIGHT_LENGTH = SKY_RADIUS;  // extend to sky sphere
+const SPHINX_EYE_Z = 10;  // Sphinx head
 
 // Dashed line from Sphinx head to sky sphere
-const sphinxLineStart = new THREE.Vector3(SPHINX_X, SPHINX_Y, 10);  // Sphinx head
-const sphinxLineEnd = new THREE.Vector3(
-  SPHINX_X + sphinxSightDir.x * SPHINX_SIGHT_LENGTH,
-  SPHINX_Y + sphinxSightDir.y * SPHINX_SIGHT_LENGTH,
-  10 + sphinxSightDir.z * SPHINX_SIGHT_LENGTH
-);
-const sphinxSightGeom = new THREE.BufferGeometry().setFromPoints([sphinxLineStart, sphinxLineEnd]);
+const sphinxLineStart = new THREE.Vector3(SPHINX_X, SPHINX_Y, SPHINX_EYE_Z);
+const sphinxLineEnd = new THREE.Vector3();
+const sphinxSightGeom = new THREE.BufferGeometry();
 const sphinxSightMat = new THREE.LineDashedMaterial({
   color: 0x0088ff,
   dashSize: 30,
@@ -535,7 +698,6 @@ const sphinxSightMat = new THREE.LineDashedMaterial({
   depthWrite: false
 });
 const sphinxSightLine = new THREE.Line(sphinxSightGeom, sphinxSightMat);
-sphinxSightLine.computeLineDistances();  // Required for dashed lines
 sphinxSightLine.frustumCulled = false;
 sphinxSightLine.renderOrder = 9997;
 sphinxSightLine.visible = false;  // Hidden by default (Khufu is default origin)
@@ -553,15 +715,27 @@ const sphinxRingMat = new THREE.MeshBasicMaterial({
   depthWrite: false
 });
 const sphinxRing = new THREE.Mesh(sphinxRingGeom, sphinxRingMat);
-// Position at sky sphere intersection
-sphinxRing.position.copy(sphinxLineEnd);
-// Orient ring to face along the sight direction
-sphinxRing.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), sphinxSightDir);
 sphinxRing.frustumCulled = false;
 sphinxRing.renderOrder = 9996;
 sphinxRing.visible = false;
 world.add(sphinxRing);
 
+function sphinxSightAltDeg() {
+  return sphinxSight.trueHorizon ? 0 : sphinxSight.altDeg;
+}
+
+// (Re)aim the sight line and its ring
+function applySphinxSight() {
+  sphinxSightDir.copy(dirFromAzAlt(deg2rad(sphinxSight.azDeg), deg2rad(sphinxSightAltDeg())));
+  sphinxLineEnd.copy(sphinxSightDir).multiplyScalar(SPHINX_SIGHT_LENGTH).add(sphinxLineStart);
+  sphinxSightGeom.setFromPoints([sphinxLineStart, sphinxLineEnd]);
+  sphinxSightLine.computeLineDistances();  // Required for dashed lines
+  // Position at sky sphere intersection, facing along the sight direction
+  sphinxRing.position.copy(sphinxLineEnd);
+  sphinxRing.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), sphinxSightDir);
+}
+applySphinxSight();
+
 
 function makeTextSprite(text) {
   const canvas = document.createElement('canvas');
@@ -610,7 +784,7 @@ function roundRect(ctx, x, y, w, h, r) {
 
 // -----------------------------
 // Sky sphere + stars + constellation lines
-// Data from d3-celestial (J2000) hosted via jsDelivr.
+// Data from d3-celestial (J2000), vendored in data/ with jsDelivr as fallback.
 // -----------------------------
 
 // -----------------------------
@@ -619,42 +793,44 @@ function roundRect(ctx, x, y, w, h, r) {
 const KHAFRE_X = -321.688;
 const KHAFRE_Y = -338.715;
 
-// Calculate farthest point from Khafre (check all pyramid vertices and Sphinx)
-let maxDistFromKhafre = 0;
-pyramids.forEach(p => {
-  p.vertices.forEach(v => {
-    const dx = v[0] - KHAFRE_X;
-    const dy = v[1] - KHAFRE_Y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist > maxDistFromKhafre) maxDistFromKhafre = dist;
-  });
-});
 // Check Sphinx corners (body ~45m E-W, head extends to ~42m east of center)
 const sphinxPoints = [
   [SPHINX_X + 42, SPHINX_Y],      // Front of head
   [SPHINX_X - 22, SPHINX_Y + 7],  // Back left
   [SPHINX_X - 22, SPHINX_Y - 7],  // Back right
 ];
-sphinxPoints.forEach(pt => {
-  const dx = pt[0] - KHAFRE_X;
-  const dy = pt[1] - KHAFRE_Y;
-  const dist = Math.sqrt(dx * dx + dy * dy);
-  if (dist > maxDistFromKhafre) maxDistFromKhafre = dist;
-});
 
-const GROUND_RADIUS = maxDistFromKhafre * 1.5;
-const groundGeom = new THREE.CircleGeometry(GROUND_RADIUS, 64);
+function groundRadiusFor(points) {
+  // Farthest point from Khafre, with margin
+  let maxDistFromKhafre = 0;
+  points.forEach(pt => {
+    const dx = pt[0] - KHAFRE_X;
+    const dy = pt[1] - KHAFRE_Y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > maxDistFromKhafre) maxDistFromKhafre = dist;
+  });
+  return maxDistFromKhafre * 1.5;
+}
+
 const groundMat = new THREE.MeshBasicMaterial({
   color: 0x808080,
   transparent: true,
   opacity: 0.2,
   side: THREE.DoubleSide
 });
-const groundPlane = new THREE.Mesh(groundGeom, groundMat);
+const groundPlane = new THREE.Mesh(new THREE.CircleGeometry(groundRadiusFor(sphinxPoints), 64), groundMat);
 // CircleGeometry is in XY plane by default, which is horizontal in our Z-up system
 groundPlane.position.set(KHAFRE_X, KHAFRE_Y, -0.5);
 world.add(groundPlane);
 
+// Resize the ground to cover every loaded monument vertex plus the Sphinx
+function fitGroundPlane() {
+  const points = [...sphinxPoints];
+  monuments.forEach(p => p.vertices.forEach(v => points.push(v)));
+  groundPlane.geometry.dispose();
+  groundPlane.geometry = new THREE.CircleGeometry(groundRadiusFor(points), 64);
+}
+
 // -----------------------------
 // Sky below horizon (darker hemisphere)
 // -----------------------------
@@ -679,27 +855,34 @@ belowHorizon.rotation.x = Math.PI / 2;
 sceneMain.add(belowHorizon);
 
 // -----------------------------
-// Error arc between Alnilam beam and shaft line
-// Blue curved arc at half sky radius, only visible when angle < 90°
+// Error arc between each shaft's target beam and its shaft line
+// Blue curved arc on the sky sphere, only visible when angle < 90°
 // -----------------------------
 const ERROR_ARC_RADIUS = SKY_RADIUS;  // arc at sky sphere
 const ERROR_ARC_SEGMENTS = 64;
-const errorArcGeom = new THREE.BufferGeometry();
-const errorArcPositions = new Float32Array(ERROR_ARC_SEGMENTS * 3);
-errorArcGeom.setAttribute('position', new THREE.BufferAttribute(errorArcPositions, 3));
-const errorArcMat = new THREE.LineBasicMaterial({
-  color: 0x0066ff,
-  linewidth: 2,
-  depthTest: false,
-  depthWrite: false
-});
-const errorArc = new THREE.Line(errorArcGeom, errorArcMat);
-errorArc.frustumCulled = false;
-errorArc.renderOrder = 9997;
-errorArc.visible = false;
-sceneMain.add(errorArc);
 
-// Element to display error angle
+function makeErrorArc() {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(ERROR_ARC_SEGMENTS * 3), 3));
+  const mat = new THREE.LineBasicMaterial({
+    color: 0x0066ff,
+    linewidth: 2,
+    depthTest: false,
+    depthWrite: false
+  });
+  const arc = new THREE.Line(geom, mat);
+  arc.frustumCulled = false;
+  arc.renderOrder = 9997;
+  arc.visible = false;
+  sceneMain.add(arc);
+  return arc;
+}
+
+for (const shaft of Object.values(SHAFTS)) {
+  shaft.errorArc = makeErrorArc();
+}
+
+// Element to display the active shaft's error angle
 const errorAngleEl = document.createElement('div');
 errorAngleEl.id = 'errorReadout';
 errorAngleEl.style.cssText = `
@@ -717,37 +900,50 @@ errorAngleEl.style.cssText = `
 `;
 document.body.appendChild(errorAngleEl);
 
-function updateErrorArc(alnilamDir, totalAngleDiff) {
+// 1σ (deg) of the target–shaft angle from the shaft's altitude/azimuth uncertainty:
+// each shaft-direction error is projected onto the great circle towards the target
+function shaftAngleSigmaDeg(shaft, targetDir) {
+  const { altSigma = 0, azSigma = 0 } = shaftSurveyValues(shaft);
+  const d = shaft.dir;
+  const t = targetDir.clone().addScaledVector(d, -targetDir.dot(d));
+  if (t.lengthSq() < 1e-12) return Math.hypot(altSigma, azSigma * Math.cos(shaft.altRad));
+  t.normalize();
+  const sinAz = Math.sin(shaft.azRad), cosAz = Math.cos(shaft.azRad);
+  const uAlt = new THREE.Vector3(-sinAz * Math.sin(shaft.altRad), -cosAz * Math.sin(shaft.altRad), Math.cos(shaft.altRad));
+  const uAz = new THREE.Vector3(cosAz, -sinAz, 0);
+  return Math.hypot(t.dot(uAlt) * altSigma, t.dot(uAz) * azSigma * Math.cos(shaft.altRad));
+}
+
+// Returns the readout text for this shaft ('' when there is nothing to show)
+function updateErrorArc(shaft, targetDir, totalAngleDiff) {
+  const errorArc = shaft.errorArc;
   // Only show error arc when Khufu is selected (shaft alignment)
-  if (currentOriginKey !== 'khufu') {
+  if (!isShaftShown(shaft)) {
     errorArc.visible = false;
-    errorAngleEl.textContent = '';
-    return;
+    return '';
   }
 
-  // Calculate angle between Alnilam direction and shaft direction
-  const dotProduct = alnilamDir.dot(shaftDir);
+  // Calculate angle between target direction and shaft direction
+  const shaftDir = shaft.dir;
+  const dotProduct = targetDir.dot(shaftDir);
   const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
   const angleDeg = rad2deg(angle);
 
   // Only show if angle < 90 degrees
   if (angleDeg >= 90) {
     errorArc.visible = false;
-    errorAngleEl.textContent = '';
-    return;
+    return '';
   }
 
   // Show "< 1°" when very close, hide arc but keep text
   if (totalAngleDiff < 1.0) {
     errorArc.visible = false;
-    errorAngleEl.textContent = `Δ < 1°`;
-    return;
+    return `Δ < 1°`;
   }
 
   errorArc.visible = true;
-  errorAngleEl.textContent = `Δ ${angleDeg.toFixed(1)}°`;
 
-  // Create arc from shaft direction to Alnilam direction
+  // Create arc from shaft direction to target direction
   // Use spherical interpolation (slerp) along the great circle
   const posAttr = errorArc.geometry.getAttribute('position');
 
@@ -761,21 +957,22 @@ function updateErrorArc(alnilamDir, totalAngleDiff) {
       const a = Math.sin((1 - t) * angle) / sinAngle;
       const b = Math.sin(t * angle) / sinAngle;
       p = new THREE.Vector3(
-        a * shaftDir.x + b * alnilamDir.x,
-        a * shaftDir.y + b * alnilamDir.y,
-        a * shaftDir.z + b * alnilamDir.z
+        a * shaftDir.x + b * targetDir.x,
+        a * shaftDir.y + b * targetDir.y,
+        a * shaftDir.z + b * targetDir.z
       ).normalize();
     } else {
       p = new THREE.Vector3().copy(shaftDir);
     }
 
-    // Add King's Chamber offset so arc connects to end of lines
+    // Add chamber offset so arc connects to end of lines
     posAttr.array[i * 3 + 0] = p.x * ERROR_ARC_RADIUS;
     posAttr.array[i * 3 + 1] = p.y * ERROR_ARC_RADIUS;
-    posAttr.array[i * 3 + 2] = p.z * ERROR_ARC_RADIUS + KINGS_CHAMBER_Z;
+    posAttr.array[i * 3 + 2] = p.z * ERROR_ARC_RADIUS + shaft.chamberZ;
   }
 
   posAttr.needsUpdate = true;
+  return `Δ ${angleDeg.toFixed(1)}° ± ${shaftAngleSigmaDeg(shaft, targetDir).toFixed(1)}°`;
 }
 
 const skyGroup = new THREE.Group();
@@ -792,228 +989,113 @@ skyGroup.add(skyShell);
 let starPoints = null;
 let constLines = null;
 
-const statusEl = document.getElementById('loadStatus');
-
-// Utilities: Julian Date + sidereal time
-function julianDateFromUTC(date) {
-  // date is a JS Date in UTC (we use Date.UTC for construction)
-  return (date.getTime() / 86400000.0) + 2440587.5;
-}
-
-function gmstRadians(jd) {
-  // IAU 1982-ish expression; sufficient for visualization.
-  const T = (jd - 2451545.0) / 36525.0;
-  let gmstDeg = 280.46061837
-    + 360.98564736629 * (jd - 2451545.0)
-    + 0.000387933 * T*T
-    - (T*T*T) / 38710000.0;
-  gmstDeg = ((gmstDeg % 360) + 360) % 360;
-  return deg2rad(gmstDeg);
-}
-
-
-// -----------------------------------------
-// Long-term precession (Vondrák et al. 2011 + erratum 2012)
-// Supports multi-millennial deep-time visualization (tens of millennia).
-// This computes a rotation from J2000 mean equator/equinox to the mean equator/equinox of epoch EPJ.
-// -----------------------------------------
-const TAU = 6.283185307179586476925287;
-const AS2R = 4.848136811095359935899141e-6;      // arcsec -> rad
-const EPS0 = 84381.406 * AS2R;                    // J2000 obliquity (rad)
-
-function vDot(a,b){ return a[0]*b[0] + a[1]*b[1] + a[2]*b[2]; }
-function vCross(a,b){
-  return [
-    a[1]*b[2] - a[2]*b[1],
-    a[2]*b[0] - a[0]*b[2],
-    a[0]*b[1] - a[1]*b[0]
-  ];
-}
-function vNorm(a){ return Math.sqrt(Math.max(vDot(a,a), 0)); }
-function vUnit(a){
-  const n = vNorm(a);
-  if (n === 0) return [0,0,0];
-  return [a[0]/n, a[1]/n, a[2]/n];
-}
-function matVec(rp, v){
-  // rp is 3x3 with ROW vectors; returns rp * v
-  return [
-    rp[0][0]*v[0] + rp[0][1]*v[1] + rp[0][2]*v[2],
-    rp[1][0]*v[0] + rp[1][1]*v[1] + rp[1][2]*v[2],
-    rp[2][0]*v[0] + rp[2][1]*v[1] + rp[2][2]*v[2],
-  ];
-}
-function raDecToVec(ra, dec){
-  const cosd = Math.cos(dec);
-  return [cosd*Math.cos(ra), cosd*Math.sin(ra), Math.sin(dec)];
-}
-function vecToRaDec(v){
-  const r = vNorm(v);
-  if (r === 0) return { ra: 0, dec: 0 };
-  const x = v[0]/r, y = v[1]/r, z = v[2]/r;
-  let ra = Math.atan2(y, x);
-  if (ra < 0) ra += TAU;
-  const dec = Math.asin(Math.max(-1, Math.min(1, z)));
-  return { ra, dec };
-}
-
-function ltp_PECL(epj){
-  // Long-term precession of the ecliptic pole (returns vector in J2000 frame)
-  const pqpol = [
-    [ +5851.607687, -1600.886300 ],
-    [ -0.1189000,  +1.1689818   ],
-    [ -0.00028913, -0.00000020  ],
-    [ +0.000000101, -0.000000437],
-  ];
-
-  // Periodic terms: [period (centuries), Pc, Qc, Ps, Qs] in arcsec
-  const pqper = [
-    [ 708.15,  -5486.751211,  -684.661560,   667.666730,  -5523.863691 ],
-    [ 2309.00,   -17.127623,  2446.283880, -2354.886252,   -549.747450 ],
-    [ 1620.00,  -617.517403,   399.671049,  -428.152441,   -310.998056 ],
-    [ 492.20,    413.442940,  -356.652376,   376.202861,    421.535876 ],
-    [ 1183.00,    78.614193,  -186.387003,   184.778874,    -36.776172 ],
-    [ 622.00,   -180.732815,  -316.800070,   335.321713,   -145.278396 ],
-    [ 882.00,    -87.676083,   198.296701,  -185.138669,    -34.744450 ], // corrected per 2012 erratum
-    [ 547.00,     46.140315,   101.135679,  -120.972830,     22.885731 ],
-  ];
-
-  const T = (epj - 2000.0) / 100.0; // centuries since J2000
-  let P = 0.0, Q = 0.0;
-
-  for (let i = 0; i < pqper.length; i++){
-    const A = (TAU * T) / pqper[i][0];
-    const S = Math.sin(A), C = Math.cos(A);
-    P += C*pqper[i][1] + S*pqper[i][3];
-    Q += C*pqper[i][2] + S*pqper[i][4];
-  }
-
-  let W = 1.0;
-  for (let i = 0; i < pqpol.length; i++){
-    P += pqpol[i][0] * W;
-    Q += pqpol[i][1] * W;
-    W *= T;
-  }
-
-  P *= AS2R;
-  Q *= AS2R;
+// -----------------------------
+// Sun, Moon and naked-eye planets (positions from planets.js)
+// Markers and labels keep a constant screen size regardless of sky radius.
+// -----------------------------
+const BODY_MARKER_SCALE = 0.014;  // screen-relative sprite size (sizeAttenuation off)
+const BODY_LABEL_SCALE = 0.011;
 
-  const Z = Math.sqrt(Math.max(1.0 - P*P - Q*Q, 0.0));
-  const S = Math.sin(EPS0);
-  const C = Math.cos(EPS0);
+function makeBodyMarker(color) {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const c = canvas.getContext('2d');
+  c.beginPath();
+  c.arc(size / 2, size / 2, size / 2 - 4, 0, Math.PI * 2);
+  c.fillStyle = color;
+  c.fill();
+  c.lineWidth = 3;
+  c.strokeStyle = 'rgba(0,0,0,0.75)';
+  c.stroke();
 
-  return [
-    P,
-    -Q*C - Z*S,
-    -Q*S + Z*C
-  ];
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.minFilter = THREE.LinearFilter;
+  const mat = new THREE.SpriteMaterial({ map: tex, transparent: true, sizeAttenuation: false, depthTest: true });
+  return new THREE.Sprite(mat);
 }
 
-function ltp_PEQU(epj){
-  // Long-term precession of the equator pole (returns vector in J2000 frame)
-  const xypol = [
-    [ +5453.282155, -73750.930350 ],
-    [ +0.4252841,   -0.7675452   ],
-    [ -0.00037173,  -0.00018725  ],
-    [ -0.000000152, +0.000000231 ],
-  ];
-
-  // Periodic terms: [period (centuries), Xc, Yc, Xs, Ys] in arcsec
-  const xyper = [
-    [ 256.75,  -819.940624,  75004.344875, 81491.287984,  1558.515853 ],
-    [ 708.15, -8444.676815,    624.033993,   787.163481,  7774.939698 ],
-    [ 274.20,  2600.009459,   1251.136893,  1251.296102, -2219.534038 ],
-    [ 241.45,  2755.175630,  -1102.212834, -1257.950837, -2523.969396 ],
-    [ 2309.00,  -167.659835,  -2660.664980, -2966.799730,  247.850422 ],
-    [ 492.20,    871.855056,    699.291817,   639.744522, -846.485643 ],
-    [ 396.10,     44.769698,    153.167220,   131.600209, -1393.124055 ],
-    [ 288.90,   -512.313065,   -950.865637,  -445.040117,  368.526116 ],
-    [ 231.10,   -819.415595,    499.754645,   584.522874,  749.045012 ],
-    [ 1610.00,  -538.071099,   -145.188210,   -89.756563,  444.704518 ],
-    [ 620.00,   -189.793622,    558.116553,   524.429630,  235.934465 ],
-    [ 157.87,   -402.922932,    -23.923029,   -13.549067,  374.049623 ],
-    [ 220.30,    179.516345,   -165.405086,  -210.157124, -171.330180 ],
-    [ 1200.00,    -9.814756,      9.344131,   -44.919798,  -22.899655 ],
-  ];
+const bodyGroup = new THREE.Group();
+bodyGroup.name = "SolarSystemBodies";
+skyGroup.add(bodyGroup);
 
-  const T = (epj - 2000.0) / 100.0;
-  let X = 0.0, Y = 0.0;
+const bodySprites = SOLAR_SYSTEM_BODIES.map(body => {
+  const marker = makeBodyMarker(body.color);
+  marker.scale.setScalar(BODY_MARKER_SCALE * body.size);
+  marker.renderOrder = 5;
 
-  for (let i = 0; i < xyper.length; i++){
-    const A = (TAU * T) / xyper[i][0];
-    const S = Math.sin(A), C = Math.cos(A);
-    X += C*xyper[i][1] + S*xyper[i][3];
-    Y += C*xyper[i][2] + S*xyper[i][4];
-  }
+  const label = makeTextSprite(body.label);
+  label.material.sizeAttenuation = false;
+  label.material.depthTest = true;
+  label.scale.multiplyScalar(BODY_LABEL_SCALE);
+  label.center.set(-0.12, 0.5);  // anchor left of the text so it sits beside the marker
+  label.renderOrder = 6;
 
-  let W = 1.0;
-  for (let i = 0; i < xypol.length; i++){
-    X += xypol[i][0] * W;
-    Y += xypol[i][1] * W;
-    W *= T;
-  }
+  bodyGroup.add(marker, label);
+  return { ...body, marker, label };
+});
 
-  X *= AS2R;
-  Y *= AS2R;
+function updateSolarSystemBodies(jd, epj, latRad, lonRad, rp) {
+  bodyGroup.visible = showPlanets;
+  if (!showPlanets) return;
 
-  const Wxy = X*X + Y*Y;
-  const Z = (Wxy < 1.0) ? Math.sqrt(1.0 - Wxy) : 0.0;
-  return [ X, Y, Z ];
-}
+  const jdTT = jdTTFromUT(jd);
+  const camPos = camera.position;
 
-function ltp_PMAT(epj){
-  // Long-term precession matrix: J2000 -> mean equator/equinox of date EPJ.
-  const peqr = ltp_PEQU(epj);          // equator pole (row 3)
-  const pecl = ltp_PECL(epj);          // ecliptic pole
-  const eqx  = vUnit(vCross(peqr, pecl));     // equinox direction (row 1)
-  const yrow = vCross(peqr, eqx);             // row 2
+  for (const b of bodySprites) {
+    let v;
+    if (b.key === 'moon') {
+      // Lunar theory is of date; apply topocentric parallax (~1°) before going horizontal
+      const m = moonEquatorialOfDate(jdTT, epj);
+      const t = topocentricRaDec(m.ra, m.dec, m.distKm, jd, latRad, lonRad);
+      v = equatorialToHorizontalUnit(t.ra, t.dec, jd, latRad, lonRad);
+    } else {
+      const p = geocentricEquatorialJ2000(b.key, jdTT);
+      v = equatorialJ2000ToHorizontalUnit(p.ra, p.dec, jd, latRad, lonRad, rp);
+    }
 
-  return [ eqx, yrow, peqr ];
-}
+    const pos = new THREE.Vector3(v.x, v.y, v.z).multiplyScalar(SKY_RADIUS - 2);
+    b.marker.position.copy(pos);
+    b.label.position.copy(pos);
 
-function equatorialJ2000ToHorizontalUnit(raJ2000, decJ2000, jd, latRad, lonRad, rp){
-  // Precess J2000 direction into date frame, then compute horizontal direction for the observer.
-  const v0 = raDecToVec(raJ2000, decJ2000);
-  const vD = matVec(rp, v0);
-  const { ra, dec } = vecToRaDec(vD);
-  return equatorialToHorizontalUnit(ra, dec, jd, latRad, lonRad);
+    // Same near-side rule as the stars
+    const isVisible = showFullGlobe || pos.dot(camPos) < 0;
+    b.marker.visible = isVisible;
+    b.label.visible = isVisible;
+  }
 }
 
-function equatorialToHorizontalUnit(raRad, decRad, jd, latRad, lonRad) {
-  // lonRad: east-positive
-  const lst = gmstRadians(jd) + lonRad;
-  const H = lst - raRad; // hour angle
-
-  const sinDec = Math.sin(decRad), cosDec = Math.cos(decRad);
-  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
-
-  const sinAlt = sinDec*sinLat + cosDec*cosLat*Math.cos(H);
-  const alt = Math.asin(sinAlt);
-
-  // Azimuth measured from North towards East
-  const cosAlt = Math.cos(alt);
-  const sinAz = -cosDec * Math.sin(H) / Math.max(1e-12, cosAlt);
-  const cosAz = (sinDec - sinAlt*sinLat) / Math.max(1e-12, (cosAlt*cosLat));
-  let az = Math.atan2(sinAz, cosAz);
-  if (az < 0) az += Math.PI * 2;
-
-  // Convert to local ENU -> our world axes (X=E, Y=N, Z=Up)
-  const x = cosAlt * Math.sin(az);
-  const y = cosAlt * Math.cos(az);
-  const z = Math.sin(alt);
-  return { x, y, z };
-}
+const statusEl = document.getElementById('loadStatus');
 
-function magToIntensity(mag) {
+function magToIntensity(mag, altRad = Math.PI / 2) {
   // simple and stable mapping (not photometrically exact)
   // mag range approx [-1..6] -> intensity [1..0.08]
-  const m = Math.max(-1, Math.min(6, mag));
+  // Atmospheric extinction (when enabled) dims stars toward the horizon.
+  const m = Math.max(-1, Math.min(6, mag + extinctionMagnitudes(altRad)));
   const t = (m + 1) / 7;         // 0..1
   const intensity = Math.pow(1.0 - t, 2.2) * 0.95 + 0.05;
   return intensity;
 }
 
+// Read an optional numeric field under any of several catalog spellings
+function pickNumber(obj, keys) {
+  if (!obj) return 0;
+  for (const k of keys) {
+    const v = Number(obj[k]);
+    if (obj[k] !== undefined && obj[k] !== null && obj[k] !== '' && Number.isFinite(v)) return v;
+  }
+  return 0;
+}
+
+// Astrometric motion fields as spelled by d3-celestial, Hipparcos (I/311) and Gaia-style catalogs
+const PMRA_KEYS  = ['pmra', 'pmRA', 'pm_ra', 'pmRAcosDE'];
+const PMDEC_KEYS = ['pmdec', 'pmDE', 'pmDec', 'pm_dec'];
+const PLX_KEYS   = ['plx', 'parallax', 'Plx'];
+const RV_KEYS    = ['rv', 'radial_velocity', 'RV'];
+
 // Parse d3-celestial stars.6.json (format can vary; handle common cases)
+// Proper motion (mas/yr), parallax (mas) and radial velocity (km/s) are kept when the catalog has them.
 function parseStars(data) {
   const stars = [];
   if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
@@ -1022,21 +1104,56 @@ function parseStars(data) {
       const [lon, lat] = f.geometry.coordinates; // lon ~ RA in degrees (often -180..180), lat ~ Dec in degrees
       const raDeg = ((lon % 360) + 360) % 360;
       const decDeg = lat;
-      const mag = (f.properties && (f.properties.mag ?? f.properties.magnitude)) ?? 6.0;
-      stars.push({ raRad: deg2rad(raDeg), decRad: deg2rad(decDeg), mag: Number(mag) });
+      const props = f.properties || {};
+      const mag = (props.mag ?? props.magnitude) ?? 6.0;
+      stars.push({
+        id: f.id ?? null,
+        raRad: deg2rad(raDeg), decRad: deg2rad(decDeg), mag: Number(mag),
+        pmRA: pickNumber(props, PMRA_KEYS),
+        pmDec: pickNumber(props, PMDEC_KEYS),
+        plx: pickNumber(props, PLX_KEYS),
+        rv: pickNumber(props, RV_KEYS)
+      });
     }
   } else if (Array.isArray(data)) {
-    // often array of [lon, lat, mag, ...]
+    // often array of [lon, lat, mag, pmra, pmdec, plx, rv] (motion columns optional)
     for (const row of data) {
       if (!Array.isArray(row) || row.length < 3) continue;
       const lon = row[0], lat = row[1], mag = row[2];
       const raDeg = ((lon % 360) + 360) % 360;
-      stars.push({ raRad: deg2rad(raDeg), decRad: deg2rad(lat), mag: Number(mag) });
+      stars.push({
+        id: null,
+        raRad: deg2rad(raDeg), decRad: deg2rad(lat), mag: Number(mag),
+        pmRA: Number(row[3]) || 0,
+        pmDec: Number(row[4]) || 0,
+        plx: Number(row[5]) || 0,
+        rv: Number(row[6]) || 0
+      });
     }
   }
   return stars;
 }
 
+// Fill in motion for stars the main catalog lacks it for (data/propermotions.json, keyed by HIP)
+function applyProperMotionSupplement(stars, data) {
+  const table = data && data.stars;
+  if (!table) return 0;
+  let n = 0;
+  for (const s of stars) {
+    if (s.id === null) continue;
+    const row = table[s.id];
+    if (!row) continue;
+    if (row.name) s.name = row.name;
+    if (hasSpaceMotion(s)) continue;
+    s.pmRA = pickNumber(row, PMRA_KEYS);
+    s.pmDec = pickNumber(row, PMDEC_KEYS);
+    s.plx = pickNumber(row, PLX_KEYS);
+    s.rv = pickNumber(row, RV_KEYS);
+    n++;
+  }
+  return n;
+}
+
 // Parse d3-celestial constellations.lines.json (GeoJSON LineString/MultiLineString)
 function parseConstellationSegments(data) {
   const segments = [];
@@ -1066,27 +1183,92 @@ function parseConstellationSegments(data) {
   return segments;
 }
 
+// Attach moving stars to the stick-figure vertices that sit on them, so the
+// figures follow their stars under proper motion (vertices share catalog coordinates)
+function linkSegmentsToStars(segments, stars) {
+  const key = (ra, dec) => `${rad2deg(ra).toFixed(3)},${rad2deg(dec).toFixed(3)}`;
+  const moving = new Map();
+  for (const s of stars) {
+    if (hasSpaceMotion(s)) moving.set(key(s.raRad, s.decRad), s);
+  }
+  for (const seg of segments) {
+    seg.star1 = moving.get(key(seg.ra1, seg.de1)) || null;
+    seg.star2 = moving.get(key(seg.ra2, seg.de2)) || null;
+  }
+}
+
 
 // -----------------------------
 // Load sky datasets (stars + constellation lines)
+// Catalogs are tried in order: configured path (settings.json "skyCatalogPath"),
+// the copy vendored in data/, then the jsDelivr CDN. The service worker (sw.js)
+// additionally caches whichever copy was served, so the sky renders offline.
 // -----------------------------
+const SKY_CATALOG_FILES = {
+  stars: "stars.6.json", lines: "constellations.lines.json", motion: "propermotions.json", names: "starnames.json",
+  bounds: "constellations.bounds.json"
+};
+const SKY_CATALOG_LOCAL_PATH = "data/";
+const SKY_CATALOG_CDN_PATH = "https://cdn.jsdelivr.net/npm/d3-celestial@0.7.35/data/";
+let skyCatalogPath = null;  // optional override from settings.json
+
+function skyCatalogPaths() {
+  const paths = [];
+  if (skyCatalogPath) paths.push(skyCatalogPath.endsWith('/') ? skyCatalogPath : skyCatalogPath + '/');
+  paths.push(SKY_CATALOG_LOCAL_PATH, SKY_CATALOG_CDN_PATH);
+  return [...new Set(paths)];
+}
+
+// Fetch one catalog file, falling back through the candidate paths
+async function fetchCatalogJson(file) {
+  const errors = [];
+  for (const path of skyCatalogPaths()) {
+    const url = path + file;
+    try {
+      const resp = await fetch(url, { mode: "cors" });
+      if (!resp.ok) throw new Error(`${resp.status} ${resp.statusText}`);
+      const json = await resp.json();
+      if (path !== skyCatalogPaths()[0]) console.warn(`Sky catalog ${file} loaded from fallback ${url}`);
+      return json;
+    } catch (err) {
+      errors.push(`${url}: ${err.message}`);
+    }
+  }
+  throw new Error(`${file} unavailable (${errors.join('; ')})`);
+}
+
 async function loadSkyData() {
   statusEl.textContent = "Loading sky data…";
-  const starsUrl = "https://cdn.jsdelivr.net/npm/d3-celestial@0.7.35/data/stars.6.json";
-  const linesUrl = "https://cdn.jsdelivr.net/npm/d3-celestial@0.7.35/data/constellations.lines.json";
 
-  const [starsResp, linesResp] = await Promise.all([
-    fetch(starsUrl, { mode: "cors" }),
-    fetch(linesUrl, { mode: "cors" })
+  const [starsJson, linesJson, motionJson, namesJson, boundsJson] = await Promise.all([
+    fetchCatalogJson(SKY_CATALOG_FILES.stars),
+    fetchCatalogJson(SKY_CATALOG_FILES.lines),
+    // Optional: proper motions for bright stars the main catalog lacks
+    fetchCatalogJson(SKY_CATALOG_FILES.motion).catch(err => {
+      console.warn('Proper motion supplement unavailable:', err.message);
+      return null;
+    }),
+    // Optional: names and Bayer/Flamsteed designations for the target star picker
+    fetchCatalogJson(SKY_CATALOG_FILES.names).catch(err => {
+      console.warn('Star names unavailable:', err.message);
+      return null;
+    }),
+    // Optional: IAU boundaries for zodiac identification (Sun, Sphinx sight, ages)
+    fetchCatalogJson(SKY_CATALOG_FILES.bounds).catch(err => {
+      console.warn('Constellation boundaries unavailable:', err.message);
+      return null;
+    })
   ]);
 
-  if (!starsResp.ok) throw new Error(`Stars load failed: ${starsResp.status} ${starsResp.statusText}`);
-  if (!linesResp.ok) throw new Error(`Constellations load failed: ${linesResp.status} ${linesResp.statusText}`);
-
-  const [starsJson, linesJson] = await Promise.all([starsResp.json(), linesResp.json()]);
-
   starsData = parseStars(starsJson);
   constSegs = parseConstellationSegments(linesJson);
+  const nNames = applyStarNames(starsData, namesJson);
+  console.log(`Star names: ${nNames} designated stars`);
+  const nMotion = applyProperMotionSupplement(starsData, motionJson);
+  linkSegmentsToStars(constSegs, starsData);
+  constBounds = parseConstellationBounds(boundsJson);
+  console.log(`Constellation boundaries: ${constBounds.length} polygons`);
+  console.log(`Sky data: ${starsData.length} stars (${starsData.filter(hasSpaceMotion).length} with space motion, ${nMotion} from supplement)`);
 
   if (!starsData.length) throw new Error("Stars dataset parsed to 0 points.");
   if (!constSegs.length) throw new Error("Constellation dataset parsed to 0 segments.");
@@ -1106,6 +1288,10 @@ async function loadSkyData() {
   if (starPoints) starPoints.visible = true;
   if (constLines) constLines.visible = true;
 
+  populateHeliacalStarSelect();
+  if (lockStarSelect) fillStarSelect(lockStarSelect, customLock.starId);
+  renderAgeTrack();
+
   if (statusEl) statusEl.textContent = '';
   scheduleSkyUpdate();
 }
@@ -1113,6 +1299,7 @@ async function loadSkyData() {
 // Create Three.js objects for stars and lines; update their geometry when time changes.
 let starsData = [];
 let constSegs = [];
+let constBounds = [];  // IAU boundary polygons (constellations.js)
 
 function buildStarsObject() {
   const geom = new THREE.BufferGeometry();
@@ -1172,7 +1359,8 @@ function updateSkyForJD(jd, epj) {
 
     for (let i = 0; i < starsData.length; i++) {
       const s = starsData[i];
-      const v = equatorialJ2000ToHorizontalUnit(s.raRad, s.decRad, jd, latRad, lonRad, rp);
+      const { ra, dec } = starRaDecAtEpoch(s, epj);  // space motion, then precession
+      const v = equatorialJ2000ToHorizontalUnit(ra, dec, jd, latRad, lonRad, rp);
       const idx = i * 3;
       const sx = v.x * SKY_RADIUS;
       const sy = v.y * SKY_RADIUS;
@@ -1186,7 +1374,7 @@ function updateSkyForJD(jd, epj) {
       const dotCam = sx * camPos.x + sy * camPos.y + sz * camPos.z;
       const isVisible = showFullGlobe || dotCam < 0;
 
-      const inten = magToIntensity(s.mag);
+      const inten = magToIntensity(s.mag, Math.asin(Math.max(-1, Math.min(1, v.z))));
       const ink = isVisible ? (0.10 + (1.0 - inten) * 0.55) : 1.0; // invisible = white (blends with background)
       colAttr.array[idx+0] = ink;
       colAttr.array[idx+1] = ink;
@@ -1202,43 +1390,23 @@ function updateSkyForJD(jd, epj) {
     const colAttr = constLines.geometry.getAttribute('color');
     const camPos = camera.position;
 
-    // Zodiac constellation IDs (IAU abbreviations)
-    const ZODIAC = new Set(['Ari', 'Tau', 'Gem', 'Cnc', 'Leo', 'Vir', 'Lib', 'Sco', 'Sgr', 'Cap', 'Aqr', 'Psc']);
-
-    // First pass: calculate positions and find nearest ZODIAC constellation to Sphinx sight line
-    let nearestConstId = null;
-    let nearestDist = Infinity;
-
-    // Sphinx sight direction (where the blue line points)
-    const sphinxTarget = new THREE.Vector3(
-      sphinxSightDir.x * SKY_RADIUS,
-      sphinxSightDir.y * SKY_RADIUS,
-      sphinxSightDir.z * SKY_RADIUS
-    );
+    // Zodiac constellation on the Sphinx sight line (also used by the angle readout)
+    currentNearestZodiac = currentOriginKey === 'sphinx' ? sightZodiacConstellation(jd, epj, latRad, lonRad) : null;
 
+    // First pass: calculate positions
     const segPositions = [];
     for (const seg of constSegs) {
-      const v1 = equatorialJ2000ToHorizontalUnit(seg.ra1, seg.de1, jd, latRad, lonRad, rp);
-      const v2 = equatorialJ2000ToHorizontalUnit(seg.ra2, seg.de2, jd, latRad, lonRad, rp);
+      // Vertices on moving stars follow the star's space motion
+      const e1 = seg.star1 ? starRaDecAtEpoch(seg.star1, epj) : { ra: seg.ra1, dec: seg.de1 };
+      const e2 = seg.star2 ? starRaDecAtEpoch(seg.star2, epj) : { ra: seg.ra2, dec: seg.de2 };
+      const v1 = equatorialJ2000ToHorizontalUnit(e1.ra, e1.dec, jd, latRad, lonRad, rp);
+      const v2 = equatorialJ2000ToHorizontalUnit(e2.ra, e2.dec, jd, latRad, lonRad, rp);
 
       const p1 = new THREE.Vector3(v1.x * SKY_RADIUS, v1.y * SKY_RADIUS, v1.z * SKY_RADIUS);
       const p2 = new THREE.Vector3(v2.x * SKY_RADIUS, v2.y * SKY_RADIUS, v2.z * SKY_RADIUS);
       segPositions.push({ p1, p2, constId: seg.constId });
-
-      // Find distance from segment midpoint to sphinx target (only for zodiac constellations)
-      if (currentOriginKey === 'sphinx' && ZODIAC.has(seg.constId)) {
-        const mid = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
-        const dist = mid.distanceTo(sphinxTarget);
-        if (dist < nearestDist) {
-          nearestDist = dist;
-          nearestConstId = seg.constId;
-        }
-      }
     }
 
-    // Store nearest zodiac for angle readout display
-    currentNearestZodiac = nearestConstId;
-
     // Second pass: write positions and colors
     let w = 0;
     let c = 0;
@@ -1258,11 +1426,11 @@ function updateSkyForJD(jd, epj) {
       const dot2 = p2.x * camPos.x + p2.y * camPos.y + p2.z * camPos.z;
       const isVisible = showFullGlobe || dot1 < 0 || dot2 < 0;  // Show if full globe or at least one endpoint on far side
 
-      // Color: red if nearest constellation in Sphinx mode, or Orion in Alnilam culmination mode; else black; white if hidden
+      // Color: red if the sight line's zodiac constellation in Sphinx mode, or the target's constellation in culmination mode; else black; white if hidden
       const snapMode = document.querySelector('input[name="snapMode"]:checked').value;
-      const isSphinxHighlight = (currentOriginKey === 'sphinx' && constId === nearestConstId);
-      const isOrionHighlight = (snapMode === 'culmination' && constId === 'Ori');
-      const isHighlighted = isSphinxHighlight || isOrionHighlight;
+      const isSphinxHighlight = (currentOriginKey === 'sphinx' && constId === currentNearestZodiac);
+      const isTargetHighlight = (snapMode === 'culmination' && constId === activeShaft().target.con);
+      const isHighlighted = isSphinxHighlight || isTargetHighlight;
       const r = isVisible ? (isHighlighted ? 0.85 : 0.0) : 1.0;
       const g = isVisible ? 0.0 : 1.0;
       const b = isVisible ? 0.0 : 1.0;
@@ -1276,52 +1444,65 @@ function updateSkyForJD(jd, epj) {
     colAttr.needsUpdate = true;
   }
 
-  // Alnilam beam + angle readout
-  {
-    const vA = equatorialJ2000ToHorizontalUnit(ALNILAM_RA_RAD, ALNILAM_DEC_RAD, jd, latRad, lonRad, rp);
+  // Sun, Moon, planets
+  updateSolarSystemBodies(jd, epj, latRad, lonRad, rp);
+
+  // Shaft target beams + angle readout (readouts follow the active shaft)
+  for (const [key, shaft] of Object.entries(SHAFTS)) {
+    const a = starRaDecAtEpoch(shaft.target, epj);
+    const vA = equatorialJ2000ToHorizontalUnit(a.ra, a.dec, jd, latRad, lonRad, rp);
     const dir = new THREE.Vector3(vA.x, vA.y, vA.z).normalize();
 
-    // Update dashed line geometry from King's Chamber to sky sphere
-    const beamOrigin = new THREE.Vector3(0, 0, KINGS_CHAMBER_Z);
-    const beamEnd = dir.clone().multiplyScalar(SKY_RADIUS).add(beamOrigin);
-    alnilamBeam.geometry.setFromPoints([beamOrigin, beamEnd]);
-    alnilamBeam.computeLineDistances();  // Required for dashed lines
+    // Update dashed line geometry from the chamber to sky sphere
+    const beamEnd = dir.clone().multiplyScalar(SKY_RADIUS).add(shaft.origin);
+    shaft.beam.geometry.setFromPoints([shaft.origin, beamEnd]);
+    shaft.beam.computeLineDistances();  // Required for dashed lines
 
-    // Update Alnilam ring position at endpoint
-    alnilamDisk.position.copy(beamEnd);
-    alnilamDisk.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), dir);
+    // Update target ring position at endpoint
+    shaft.beamRing.position.copy(beamEnd);
+    shaft.beamRing.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), dir);
 
     // Azimuth from North towards East; Altitude above horizon
     let az = Math.atan2(dir.x, dir.y);
     if (az < 0) az += Math.PI * 2;
     const alt = Math.asin(Math.max(-1, Math.min(1, dir.z)));
 
-    // Calculate angle difference between Alnilam and shaft
-    const altDiffDeg = Math.abs(rad2deg(alt) - rad2deg(SHAFT_ALT_RAD));
-    const azDiffRad = Math.abs(az - SHAFT_AZ_RAD);
+    // Calculate angle difference between the target and the shaft
+    const altDiffDeg = Math.abs(rad2deg(alt) - rad2deg(shaft.altRad));
+    const azDiffRad = Math.abs(az - shaft.azRad);
     const azDiffDeg = rad2deg(Math.min(azDiffRad, Math.PI * 2 - azDiffRad));
     const totalAngleDiff = Math.sqrt(altDiffDeg * altDiffDeg + azDiffDeg * azDiffDeg);
 
-    // Hide shaft line and its disk if angle difference is less than 1 degree (show only red beam)
-    if (currentOriginKey === 'khufu') {
+    // Hide shaft line and its ring if angle difference is less than 1 degree (show only the beam)
+    if (isShaftShown(shaft)) {
       const showShaft = totalAngleDiff >= 1.0;
-      shaftLine.visible = showShaft;
-      shaftDisk.visible = showShaft;
+      shaft.line.visible = showShaft;
+      shaft.ring.visible = showShaft;
     }
 
+    // Update error arc between target and shaft
+    const errorText = updateErrorArc(shaft, dir, totalAngleDiff);
+    if (key !== activeShaftKey) continue;
+
+    errorAngleEl.innerHTML = errorText
+      ? `${errorText}<div class="sub">${shaft.label} → ${starShortName(shaft.target)}</div>`
+      : '';
+
     // Update angle readout based on origin
     if (currentOriginKey === 'sphinx' && currentNearestZodiac) {
-      // Sphinx mode: show nearest zodiac constellation name
-      const zodiacName = ZODIAC_NAMES[currentNearestZodiac] || currentNearestZodiac;
-      angleEl.innerHTML = `<div class="sub">ZODIAC</div>${zodiacName}`;
+      // Sphinx mode: show the sight line's zodiac constellation
+      angleEl.innerHTML = `<div class="sub">ZODIAC</div>${constellationName(currentNearestZodiac)}`;
     } else {
-      // Khufu mode: show Alnilam azimuth/altitude
+      // Khufu mode: show the active target's azimuth/altitude
       angleEl.innerHTML = `AZ ${rad2deg(az).toFixed(1)}°<div class="sub">ALT ${rad2deg(alt).toFixed(1)}°</div>`;
     }
-
-    // Update error arc between Alnilam and shaft
-    updateErrorArc(dir, totalAngleDiff);
   }
+
+  // Horizon crossings along the Sphinx sight azimuth
+  updateHorizonPanel(jd);
+
+  // Sun's constellation, cardinal points and zodiacal age
+  updateZodiacPanel(jd, epj);
 }
 
 // -----------------------------
@@ -1336,6 +1517,68 @@ const doySlider  = document.getElementById('doySlider');
 const doyLabel   = document.getElementById('doyLabel');
 const timeSlider = document.getElementById('timeSlider');
 const timeLabel  = document.getElementById('timeLabel');
+const deltaTLabel  = document.getElementById('deltaTLabel');
+const deltaTSelect = document.getElementById('deltaTSelect');
+const calendarSelect = document.getElementById('calendarSelect');
+const dateInput      = document.getElementById('dateInput');
+
+let currentCalendar = 'gregorian';
+
+// ΔT model selector (Time section)
+if (deltaTSelect) {
+  for (const [key, model] of Object.entries(DELTA_T_MODELS)) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = model.label;
+    deltaTSelect.appendChild(opt);
+  }
+  deltaTSelect.value = getDeltaTModel();
+  deltaTSelect.addEventListener('change', () => {
+    console.log('=== ΔT MODEL CHANGED ===');
+    console.log(`deltaTModel = "${deltaTSelect.value}";`);
+    setDeltaTModel(deltaTSelect.value);
+    applySnapMode();  // locks depend on sidereal time and the Sun
+  });
+}
+
+// Calendar selector (Time section): the date label and date input follow the chosen calendar
+if (calendarSelect) {
+  for (const [key, cal] of Object.entries(CALENDARS)) {
+    calendarSelect.add(new Option(cal.label, key));
+  }
+  calendarSelect.value = currentCalendar;
+  calendarSelect.addEventListener('change', () => {
+    currentCalendar = calendarSelect.value;
+    console.log('=== CALENDAR CHANGED ===');
+    console.log(`calendar = "${currentCalendar}";`);
+    updateTimeLabels();
+  });
+}
+
+// Date typed as Y-M-D in the current calendar (astronomical year; Egyptian: Nabonassar year, month 13 = epagomenal)
+if (dateInput) {
+  dateInput.addEventListener('change', () => {
+    const match = dateInput.value.trim().match(/^([+-]?\d+)[-\/ ](\d{1,2})[-\/ ](\d{1,2})$/);
+    const [y, m, d] = match ? match.slice(1).map(Number) : [];
+    const valid = match && d >= 1 && d <= daysInMonth(currentCalendar, y, m);
+    if (!valid) {
+      console.warn(`Invalid ${CALENDARS[currentCalendar].label} date: "${dateInput.value}"`);
+      updateTimeLabels();
+      return;
+    }
+
+    // Same day in the app's proleptic Gregorian year / day-of-year
+    const g = calendarDateFromJD(julianDayFromCalendarDate(currentCalendar, y, m, d), 'gregorian');
+    yearInput.value = String(g.y);
+    doySlider.value = String(doyFromMonthDay(g.y, g.m, g.d));
+    console.log('=== DATE INPUT CHANGED ===');
+    console.log(`date = "${dateInput.value}"; // ${currentCalendar} -> Gregorian ${g.y}-${pad2(g.m)}-${pad2(g.d)}`);
+
+    clearPresetHighlights();
+    syncYearFromInput();
+    applySnapMode();
+  });
+}
 
 // Year range constants
 const YEAR_MAX = 2026;
@@ -1405,39 +1648,572 @@ function applyOrigin() {
   updateCoordDisplay();
 
   // Show/hide directional lines and endpoint disks based on selected origin
-  shaftLine.visible = (currentOriginKey === 'khufu');
-  shaftDisk.visible = (currentOriginKey === 'khufu');
-  queensShaftLine.visible = showQueensShaft && (currentOriginKey === 'khufu');
-  alnilamBeam.visible = (currentOriginKey === 'khufu');
-  alnilamDisk.visible = (currentOriginKey === 'khufu');
-  errorArc.visible = (currentOriginKey === 'khufu');
+  applyShaftVisibility();
   sphinxSightLine.visible = (currentOriginKey === 'sphinx');
   sphinxRing.visible = (currentOriginKey === 'sphinx');
 
   scheduleSkyUpdate();
 }
 
-// Settings loaded from external JSON file
-fetch('settings.json')
-  .then(response => response.json())
-  .then(data => {
-    if (typeof data.showFullGlobe === 'boolean') {
-      showFullGlobe = data.showFullGlobe;
-      console.log('Settings loaded: showFullGlobe =', showFullGlobe);
-      scheduleSkyUpdate();
-    }
-    if (typeof data.showQueensShaft === 'boolean') {
-      showQueensShaft = data.showQueensShaft;
-      queensShaftLine.visible = showQueensShaft && (currentOriginKey === 'khufu');
-      console.log('Settings loaded: showQueensShaft =', showQueensShaft);
-    }
-  })
-  .catch(err => console.error('Failed to load settings:', err));
-
-originRadios.forEach(r => {
-  r.addEventListener('change', () => {
-    if (!r.checked) return;
-    currentOriginKey = r.value;
+// -----------------------------
+// Sun/Moon/planet visibility, toggled from the Settings section
+// -----------------------------
+const chkPlanets = document.getElementById('chkPlanets');
+if (chkPlanets) {
+  chkPlanets.checked = showPlanets;
+  chkPlanets.addEventListener('change', () => {
+    showPlanets = chkPlanets.checked;
+    console.log('=== PLANETS VISIBILITY CHANGED ===', showPlanets);
+    scheduleSkyUpdate();
+  });
+}
+
+// -----------------------------
+// Atmosphere (refraction + extinction), toggled from the Settings section
+// -----------------------------
+const chkRefraction = document.getElementById('chkRefraction');
+const chkExtinction = document.getElementById('chkExtinction');
+const atmTemp       = document.getElementById('atmTemp');
+const atmPressure   = document.getElementById('atmPressure');
+const atmK          = document.getElementById('atmK');
+
+function syncAtmosphereControls() {
+  const atm = getAtmosphere();
+  if (chkRefraction) chkRefraction.checked = atm.refraction;
+  if (chkExtinction) chkExtinction.checked = atm.extinction;
+  if (atmTemp) atmTemp.value = String(atm.temperatureC);
+  if (atmPressure) atmPressure.value = String(atm.pressureHPa);
+  if (atmK) atmK.value = atm.extinctionK.toFixed(2);
+}
+
+function readAtmosphereControls() {
+  const atm = getAtmosphere();
+  const num = (el, fallback) => {
+    const v = el ? Number(el.value) : NaN;
+    return Number.isFinite(v) ? v : fallback;
+  };
+  setAtmosphere({
+    refraction: chkRefraction ? chkRefraction.checked : atm.refraction,
+    extinction: chkExtinction ? chkExtinction.checked : atm.extinction,
+    temperatureC: num(atmTemp, atm.temperatureC),
+    pressureHPa: num(atmPressure, atm.pressureHPa),
+    extinctionK: num(atmK, atm.extinctionK)
+  });
+  syncAtmosphereControls();  // show the clamped values
+  console.log('=== ATMOSPHERE CHANGED ===', getAtmosphere());
+  applySnapMode();  // re-solve locks and redraw the sky
+}
+
+[chkRefraction, chkExtinction, atmTemp, atmPressure, atmK].forEach(el => {
+  if (el) el.addEventListener('change', readAtmosphereControls);
+});
+syncAtmosphereControls();
+
+// -----------------------------
+// Sphinx sight controls + horizon crossings along the sight azimuth
+// Lists the constellations and bright stars that rise (east) or set (west) within
+// HORIZON_AZ_TOLERANCE_DEG of the sight azimuth on the locked day, with their times.
+// -----------------------------
+const sightAz = document.getElementById('sightAz');
+const sightAlt = document.getElementById('sightAlt');
+const chkTrueHorizon = document.getElementById('chkTrueHorizon');
+const horizonReadout = document.getElementById('horizonReadout');
+const horizonList = document.getElementById('horizonList');
+
+const HORIZON_AZ_TOLERANCE_DEG = 3;   // half-width of the azimuth window
+const HORIZON_STAR_MAG_LIMIT = 3.0;   // stars this bright are listed individually
+const HORIZON_NOW_HOURS = 0.5;        // entries this close to the locked instant are highlighted
+const HORIZON_EPOCH_STEP_YEARS = 1;   // precessed candidates are reused within this span
+
+let horizonCandidatesCache = { key: null, event: 'rise', list: [] };
+let horizonCrossingsCache = { key: null, event: 'rise', stars: [], constellations: [] };
+
+function syncSphinxSightControls() {
+  if (sightAz) sightAz.value = String(sphinxSight.azDeg);
+  if (sightAlt) {
+    sightAlt.value = String(sphinxSight.altDeg);
+    sightAlt.disabled = sphinxSight.trueHorizon;
+  }
+  if (chkTrueHorizon) chkTrueHorizon.checked = sphinxSight.trueHorizon;
+}
+
+function readSphinxSightControls() {
+  const num = (el, fallback) => {
+    const v = el ? Number(el.value) : NaN;
+    return Number.isFinite(v) ? v : fallback;
+  };
+  sphinxSight = {
+    azDeg: mod(num(sightAz, sphinxSight.azDeg), 360),
+    altDeg: Math.max(-5, Math.min(89, num(sightAlt, sphinxSight.altDeg))),
+    trueHorizon: chkTrueHorizon ? chkTrueHorizon.checked : sphinxSight.trueHorizon
+  };
+  console.log('=== SPHINX SIGHT CHANGED ===');
+  console.log(`sphinxSight = ${JSON.stringify(sphinxSight)};`);
+  syncSphinxSightControls();
+  applySphinxSight();
+  scheduleSkyUpdate();
+}
+
+[sightAz, sightAlt, chkTrueHorizon].forEach(el => {
+  if (el) el.addEventListener('change', readSphinxSightControls);
+});
+syncSphinxSightControls();
+
+// Stars whose rising/setting azimuth falls in the sight window, with positions of date.
+// Precessing the whole catalog is the costly part and barely changes from day to day,
+// so it is keyed by epoch step, not by day (day-rate playback crosses many days a second).
+function getHorizonCandidates(jd0) {
+  const epj = Math.round(julianEpochFromUT(jd0 + 0.5) / HORIZON_EPOCH_STEP_YEARS) * HORIZON_EPOCH_STEP_YEARS;
+  const key = `${epj}|${sphinxSight.azDeg}|${REF_LAT_DEG}|${REF_LON_DEG}|${JSON.stringify(getAtmosphere())}|${starsData.length}`;
+  if (horizonCandidatesCache.key === key) return horizonCandidatesCache;
+
+  const latRad = deg2rad(REF_LAT_DEG);
+  const rp = ltp_PMAT(epj);
+  const event = sphinxSight.azDeg < 180 ? 'rise' : 'set';
+  const h = trueAltitude(0);  // apparent horizon
+
+  const list = [];
+  for (const s of starsData) {
+    if (!s.con && s.mag > HORIZON_STAR_MAG_LIMIT) continue;
+    const a = starRaDecAtEpoch(s, epj);
+    const { ra, dec } = vecToRaDec(matVec(rp, raDecToVec(a.ra, a.dec)));
+    const az = horizonCrossingAzimuth(dec, latRad, event, h);
+    if (az === null) continue;
+    const dAz = rad2deg(Math.atan2(Math.sin(az - deg2rad(sphinxSight.azDeg)), Math.cos(az - deg2rad(sphinxSight.azDeg))));
+    if (Math.abs(dAz) > HORIZON_AZ_TOLERANCE_DEG) continue;
+    list.push({ star: s, ra, dec, azDeg: rad2deg(az) });
+  }
+
+  horizonCandidatesCache = { key, event, list };
+  return horizonCandidatesCache;
+}
+
+// Horizon crossings on the UT day containing jd: { event, stars, constellations }
+function getHorizonCrossings(jd) {
+  const jd0 = Math.floor(jd - 0.5) + 0.5;
+  const candidates = getHorizonCandidates(jd0);
+  const key = `${jd0}|${candidates.key}`;
+  if (horizonCrossingsCache.key === key) return horizonCrossingsCache;
+
+  const latRad = deg2rad(REF_LAT_DEG);
+  const lonRad = deg2rad(REF_LON_DEG);
+  const { event } = candidates;
+  const h = trueAltitude(0);
+
+  const stars = [];
+  const byConst = new Map();
+  for (const { star: s, ra, dec, azDeg } of candidates.list) {
+    const time = getStarEventTime(jd0, ra, dec, latRad, lonRad, event, h);
+    if (time === null) continue;
+
+    if (s.mag <= HORIZON_STAR_MAG_LIMIT) stars.push({ star: s, azDeg, time });
+    if (s.con) {
+      const c = byConst.get(s.con) || { con: s.con, first: time, last: time, n: 0 };
+      c.first = Math.min(c.first, time);
+      c.last = Math.max(c.last, time);
+      c.n++;
+      byConst.set(s.con, c);
+    }
+  }
+  stars.sort((p, q) => p.time - q.time);
+  const constellations = [...byConst.values()].sort((p, q) => p.first - q.first);
+
+  horizonCrossingsCache = { key, event, stars, constellations };
+  return horizonCrossingsCache;
+}
+
+function formatUTHours(hours) {
+  const t = mod(hours, 24);
+  const hh = Math.floor(t);
+  const mm = Math.floor((t - hh) * 60);
+  return `${pad2(hh)}:${pad2(mm)}`;
+}
+
+function updateHorizonPanel(jd) {
+  if (!horizonList) return;
+  const { event, stars, constellations } = getHorizonCrossings(jd);
+  const now = Number(timeSlider.value);
+  const isNow = (t) => Math.abs(t - now) <= HORIZON_NOW_HOURS;
+  const verb = event === 'rise' ? 'Rising' : 'Setting';
+
+  if (horizonReadout) {
+    horizonReadout.textContent = `${verb} at ${sphinxSight.azDeg.toFixed(1)}° ± ${HORIZON_AZ_TOLERANCE_DEG}°`;
+  }
+  horizonList.innerHTML = '';
+  const addItem = (label, value, cls, title) => {
+    const li = document.createElement('li');
+    li.className = cls;
+    li.title = title;
+    li.innerHTML = `<span>${label}</span><span class="mono">${value}</span>`;
+    horizonList.appendChild(li);
+  };
+  for (const c of constellations) {
+    const span = c.first === c.last ? formatUTHours(c.first) : `${formatUTHours(c.first)}–${formatUTHours(c.last)}`;
+    const cls = (now >= c.first - HORIZON_NOW_HOURS && now <= c.last + HORIZON_NOW_HOURS) ? 'constellation now' : 'constellation';
+    addItem(constellationName(c.con), span, cls, `${c.n} star${c.n === 1 ? '' : 's'} of ${c.con} ${verb.toLowerCase()} in the window (UT)`);
+  }
+  for (const { star, azDeg, time } of stars) {
+    addItem(starShortName(star), `${azDeg.toFixed(1)}° ${formatUTHours(time)}`, isNow(time) ? 'star now' : 'star',
+      `${starLabel(star)}, mag ${star.mag.toFixed(1)}: ${verb.toLowerCase()} azimuth and time (UT)`);
+  }
+  if (!constellations.length && !stars.length) addItem('—', '', 'empty', 'Nothing crosses the horizon in this window');
+}
+
+// -----------------------------
+// Zodiac from the IAU constellation boundaries (constellations.js), precessed to the
+// epoch: the Sun's constellation now and at the solstices/equinoxes, the constellation
+// on the ecliptic under the Sphinx sight line, and the zodiacal age (the constellation
+// holding the March equinox point)
+// -----------------------------
+const zodiacReadout = document.getElementById('zodiacReadout');
+const zodiacList = document.getElementById('zodiacList');
+
+// Zodiac constellation at the ecliptic longitude of the Sphinx sight direction
+function sightZodiacConstellation(jd, epj, latRad, lonRad) {
+  if (!constBounds.length) return null;
+  const { ra, dec } = raDecFromAzAlt(deg2rad(sphinxSight.azDeg), deg2rad(sphinxSightAltDeg()), jd, latRad, lonRad);
+  return constellationAtEclipticLongitude(constBounds, eclipticLongitudeOfDate(ra, dec, epj), epj);
+}
+
+// IAU abbreviation of the zodiacal age in year y (Julian epoch ≈ year), or null before
+// the boundaries load
+function zodiacalAgeAtYear(y) {
+  return constBounds.length ? zodiacalAgeOfDate(constBounds, y) : null;
+}
+
+function updateZodiacPanel(jd, epj) {
+  if (!zodiacList) return;
+  zodiacList.innerHTML = '';
+  if (!constBounds.length) {
+    if (zodiacReadout) zodiacReadout.textContent = '—';
+    return;
+  }
+  if (zodiacReadout) zodiacReadout.textContent = `Age of ${constellationName(zodiacalAgeOfDate(constBounds, epj))}`;
+
+  const addItem = (label, value, cls, title) => {
+    const li = document.createElement('li');
+    li.className = cls;
+    li.title = title;
+    li.innerHTML = `<span>${label}</span><span>${value}</span>`;
+    zodiacList.appendChild(li);
+  };
+  const sun = geocentricEquatorialJ2000('sun', jdTTFromUT(jd));
+  addItem('Sun now', `Sun in ${constellationName(constellationAtJ2000(constBounds, sun.ra, sun.dec))}`, 'now',
+    'Constellation containing the Sun at the current date and time');
+  for (const season of Object.values(SEASONS)) {
+    const con = constellationAtEclipticLongitude(constBounds, deg2rad(season.longitudeDeg), epj);
+    addItem(season.label, `Sun in ${constellationName(con)}`, '',
+      `Constellation containing the Sun at the ${season.label.toLowerCase()} (ecliptic longitude ${season.longitudeDeg}° of date)`);
+  }
+  if (currentOriginKey === 'sphinx' && currentNearestZodiac) {
+    addItem('Sphinx sight', constellationName(currentNearestZodiac), 'sight',
+      `Zodiac constellation at the ecliptic longitude of the sight line (${sphinxSight.azDeg.toFixed(1)}°, ${sphinxSightAltDeg().toFixed(1)}°)`);
+  }
+}
+
+// Console helper: zodiacalAge(-10500) -> { con: 'Leo', name: 'Leo' }
+window.zodiacalAge = function(year = Number(yearInput.value)) {
+  const con = zodiacalAgeAtYear(year);
+  return con ? { con, name: constellationName(con) } : null;
+};
+
+// -----------------------------
+// Survey datasets (monument geometry), switchable from the Settings section
+// -----------------------------
+let SURVEY_DATASETS = {
+  default: { label: "Default", url: "coordinates.json" }
+};
+let currentSurveyKey = "default";
+const surveySelect = document.getElementById('surveySelect');
+
+function populateSurveySelect() {
+  if (!surveySelect) return;
+  surveySelect.innerHTML = '';
+  for (const [key, ds] of Object.entries(SURVEY_DATASETS)) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = ds.label || key;
+    surveySelect.appendChild(opt);
+  }
+  surveySelect.value = currentSurveyKey;
+}
+
+function loadSurveyDataset(key) {
+  const ds = SURVEY_DATASETS[key];
+  if (!ds) {
+    console.warn(`Unknown survey dataset: ${key}`);
+    return Promise.resolve();
+  }
+  return fetch(ds.url)
+    .then(response => {
+      if (!response.ok) throw new Error(`${ds.url}: ${response.status} ${response.statusText}`);
+      return response.json();
+    })
+    .then(data => {
+      const list = parseMonumentDataset(data);
+      if (!list.length) throw new Error(`${ds.url} contains no usable monuments`);
+      currentSurveyKey = key;
+      if (surveySelect) surveySelect.value = key;
+      buildMonuments(list);
+      console.log(`Survey dataset loaded: ${key} (${list.length} monuments)`, list.map(m => m.name));
+    })
+    .catch(err => {
+      console.error('Failed to load survey dataset:', err);
+      if (surveySelect) surveySelect.value = currentSurveyKey;
+    });
+}
+
+if (surveySelect) {
+  surveySelect.addEventListener('change', () => {
+    console.log('=== SURVEY DATASET CHANGED ===');
+    console.log(`surveyDataset = "${surveySelect.value}";`);
+    loadSurveyDataset(surveySelect.value);
+  });
+}
+
+// -----------------------------
+// Shaft selection (active shaft + survey value set)
+// -----------------------------
+const shaftSelect = document.getElementById('shaftSelect');
+const shaftSurveySelect = document.getElementById('shaftSurveySelect');
+const culminationLabel = document.querySelector('input[name="snapMode"][value="culmination"]')
+  ?.closest('label')?.querySelector('.toggle-label');
+
+function populateShaftSelects() {
+  if (shaftSelect) {
+    shaftSelect.innerHTML = '';
+    for (const [key, shaft] of Object.entries(SHAFTS)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = `${shaft.label} → ${starShortName(shaft.target)}`;
+      shaftSelect.appendChild(opt);
+    }
+    shaftSelect.value = activeShaftKey;
+  }
+  if (shaftSurveySelect) {
+    shaftSurveySelect.innerHTML = '';
+    for (const [key, survey] of Object.entries(SHAFT_SURVEYS)) {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = survey.label;
+      shaftSurveySelect.appendChild(opt);
+    }
+    shaftSurveySelect.value = currentShaftSurvey;
+  }
+}
+populateShaftSelects();
+
+// Results of a previous search belong to the previous shaft/target
+function clearAlignmentResults() {
+  alignmentResults = [];
+  renderAlignmentResults();
+  if (alignmentStatusEl) alignmentStatusEl.textContent = '';
+}
+
+// Labels, lock and search follow the active shaft's target
+function refreshShaftTarget() {
+  const target = activeShaft().target;
+  if (culminationLabel) culminationLabel.textContent = `${starShortName(target)} Highest`;
+  if (targetStarInput) targetStarInput.value = starLabel(target);
+  clearAlignmentResults();
+  applySnapMode();
+  drawErrorChart();
+  scheduleSkyUpdate();
+}
+
+function setActiveShaft(key) {
+  activeShaftKey = key;
+  if (shaftSelect) shaftSelect.value = key;
+  refreshShaftTarget();
+}
+
+if (shaftSelect) {
+  shaftSelect.addEventListener('change', () => {
+    console.log('=== ACTIVE SHAFT CHANGED ===');
+    console.log(`activeShaft = "${shaftSelect.value}";`);
+    setActiveShaft(shaftSelect.value);
+  });
+}
+
+if (shaftSurveySelect) {
+  shaftSurveySelect.addEventListener('change', () => {
+    console.log('=== SHAFT SURVEY CHANGED ===');
+    console.log(`shaftSurvey = "${shaftSurveySelect.value}";`);
+    currentShaftSurvey = shaftSurveySelect.value;
+    applyShaftSurvey();
+    clearAlignmentResults();
+    drawErrorChart();
+    scheduleSkyUpdate();
+  });
+}
+
+// -----------------------------
+// Target star picker (retargets the active shaft's beam, culmination lock and alignment search)
+// Searches by common name, Bayer/Flamsteed designation or HIP number.
+// -----------------------------
+const targetStarInput = document.getElementById('targetStarInput');
+const targetStarList = document.getElementById('targetStarList');
+const TARGET_SUGGESTIONS = 12;
+let targetSuggestions = [];
+
+// Catalog stars once loaded; the built-in shaft targets before that
+function targetCandidates() {
+  return starsData.length ? starsData : [ALNILAM, THUBAN, KOCHAB, SIRIUS];
+}
+
+function updateTargetSuggestions() {
+  if (!targetStarInput || !targetStarList) return;
+  targetSuggestions = searchStars(targetCandidates(), targetStarInput.value, TARGET_SUGGESTIONS);
+  targetStarList.innerHTML = '';
+  for (const s of targetSuggestions) {
+    const opt = document.createElement('option');
+    opt.value = starLabel(s);
+    targetStarList.appendChild(opt);
+  }
+}
+
+// Accepts a star object or a query string; returns the new target or null if nothing matched
+function setTargetStar(starOrQuery) {
+  const star = typeof starOrQuery === 'object' && starOrQuery
+    ? starOrQuery
+    : targetSuggestions.find(s => starLabel(s) === starOrQuery) || findStar(targetCandidates(), starOrQuery);
+  if (!star) {
+    console.warn(`No star matches "${starOrQuery}"`);
+    if (targetStarInput) targetStarInput.value = starLabel(activeShaft().target);
+    return null;
+  }
+  activeShaft().target = star;
+  console.log('=== TARGET STAR CHANGED ===');
+  console.log(`${activeShaftKey}.target = ${starLabel(star)};`);
+  populateShaftSelects();
+  refreshShaftTarget();
+  return star;
+}
+
+if (targetStarInput) {
+  targetStarInput.value = starLabel(activeShaft().target);
+  targetStarInput.addEventListener('input', updateTargetSuggestions);
+  targetStarInput.addEventListener('change', () => setTargetStar(targetStarInput.value));
+  targetStarInput.addEventListener('focus', () => targetStarInput.select());
+}
+
+// setTargetStar('Al Nitak') / setTargetStar('HIP 68756') from the console
+window.setTargetStar = setTargetStar;
+
+// Settings loaded from external JSON file
+const settingsLoaded = fetch('settings.json')
+  .then(response => response.json())
+  .then(data => {
+    if (typeof data.deltaTModel === 'string' && DELTA_T_MODELS[data.deltaTModel]) {
+      setDeltaTModel(data.deltaTModel);
+      if (deltaTSelect) deltaTSelect.value = data.deltaTModel;
+      console.log('Settings loaded: deltaTModel =', data.deltaTModel);
+      applySnapMode();
+    }
+    if (typeof data.calendar === 'string' && CALENDARS[data.calendar]) {
+      currentCalendar = data.calendar;
+      if (calendarSelect) calendarSelect.value = currentCalendar;
+      console.log('Settings loaded: calendar =', currentCalendar);
+      updateTimeLabels();
+    }
+    if (data.atmosphere && typeof data.atmosphere === 'object') {
+      setAtmosphere(data.atmosphere);
+      syncAtmosphereControls();
+      console.log('Settings loaded: atmosphere =', getAtmosphere());
+      applySnapMode();
+    }
+    if (typeof data.skyCatalogPath === 'string' && data.skyCatalogPath) {
+      skyCatalogPath = data.skyCatalogPath;
+      console.log('Settings loaded: skyCatalogPath =', skyCatalogPath);
+    }
+    if (data.surveyDatasets && typeof data.surveyDatasets === 'object') {
+      SURVEY_DATASETS = data.surveyDatasets;
+    }
+    if (typeof data.surveyDataset === 'string' && SURVEY_DATASETS[data.surveyDataset]) {
+      currentSurveyKey = data.surveyDataset;
+    }
+    if (typeof data.timelineTracks === 'string' && data.timelineTracks) {
+      timelineTracksUrl = data.timelineTracks;
+      console.log('Settings loaded: timelineTracks =', timelineTracksUrl);
+    }
+    if (typeof data.showFullGlobe === 'boolean') {
+      showFullGlobe = data.showFullGlobe;
+      console.log('Settings loaded: showFullGlobe =', showFullGlobe);
+      scheduleSkyUpdate();
+    }
+    if (typeof data.showPlanets === 'boolean') {
+      showPlanets = data.showPlanets;
+      if (chkPlanets) chkPlanets.checked = showPlanets;
+      console.log('Settings loaded: showPlanets =', showPlanets);
+      scheduleSkyUpdate();
+    }
+    if (typeof data.showQueensShaft === 'boolean') {
+      showQueensShaft = data.showQueensShaft;
+      applyShaftVisibility();
+      console.log('Settings loaded: showQueensShaft =', showQueensShaft);
+    }
+    if (data.shafts && typeof data.shafts === 'object') {
+      // Per-shaft overrides: { kingsSouth: { gantenbrink: { alt, [az, altSigma, azSigma] } }, ... }
+      for (const [key, surveys] of Object.entries(data.shafts)) {
+        if (!Object.hasOwn(SHAFTS, key) || !surveys || typeof surveys !== 'object') continue;
+        for (const [surveyKey, v] of Object.entries(surveys)) {
+          if (!Object.hasOwn(SHAFT_SURVEYS, surveyKey) || !Number.isFinite(v?.alt)) continue;
+          const prev = SHAFTS[key].surveys[surveyKey] || {};
+          const next = { alt: v.alt, altSigma: Number.isFinite(v.altSigma) ? v.altSigma : (prev.altSigma ?? 0) };
+          if (Number.isFinite(v.az)) next.az = v.az;
+          if (Number.isFinite(v.azSigma)) next.azSigma = v.azSigma;
+          SHAFTS[key].surveys[surveyKey] = next;
+        }
+      }
+      console.log('Settings loaded: shafts =', data.shafts);
+    }
+    if (typeof data.shaftSurvey === 'string' && SHAFT_SURVEYS[data.shaftSurvey]) {
+      currentShaftSurvey = data.shaftSurvey;
+      if (shaftSurveySelect) shaftSurveySelect.value = currentShaftSurvey;
+      console.log('Settings loaded: shaftSurvey =', currentShaftSurvey);
+    }
+    if (data.sphinxSight && typeof data.sphinxSight === 'object') {
+      const { azDeg, altDeg, trueHorizon } = data.sphinxSight;
+      if (Number.isFinite(azDeg)) sphinxSight.azDeg = mod(azDeg, 360);
+      if (Number.isFinite(altDeg)) sphinxSight.altDeg = altDeg;
+      if (typeof trueHorizon === 'boolean') sphinxSight.trueHorizon = trueHorizon;
+      syncSphinxSightControls();
+      applySphinxSight();
+      console.log('Settings loaded: sphinxSight =', sphinxSight);
+    }
+    if (data.uncertainty && typeof data.uncertainty === 'object') {
+      const { samples, seed } = data.uncertainty;
+      if (Number.isInteger(samples) && samples > 0) alignmentMonteCarlo.samples = samples;
+      if (Number.isInteger(seed)) alignmentMonteCarlo.seed = seed;
+      console.log('Settings loaded: uncertainty =', alignmentMonteCarlo);
+    }
+    if (typeof data.playbackRate === 'string' && PLAYBACK_RATES[data.playbackRate]) {
+      playback.rate = data.playbackRate;
+      updatePlaybackUI();
+      console.log('Settings loaded: playbackRate =', playback.rate);
+    }
+    if (typeof data.activeShaft === 'string' && SHAFTS[data.activeShaft]) {
+      setActiveShaft(data.activeShaft);
+      console.log('Settings loaded: activeShaft =', activeShaftKey);
+    }
+    applyShaftSurvey();
+    scheduleSkyUpdate();
+  })
+  .catch(err => console.error('Failed to load settings:', err));
+
+// Monument geometry loads after settings so the configured dataset is used
+settingsLoaded.then(() => {
+  populateSurveySelect();
+  return loadSurveyDataset(currentSurveyKey);
+});
+
+// Timeline tracks likewise follow the configured file
+settingsLoaded.then(() => loadTimelineTracks());
+
+originRadios.forEach(r => {
+  r.addEventListener('change', () => {
+    if (!r.checked) return;
+    currentOriginKey = r.value;
 
     // Auto-select appropriate snap mode based on origin
     if (currentOriginKey === 'khufu') {
@@ -1468,90 +2244,6 @@ function setTimeHours(hours) {
   scheduleSkyUpdate();
 }
 
-// Civil dawn definition: Sun's center at -6° altitude (start of morning civil twilight).
-// We compute an approximate UTC time by searching across the day.
-function sunRaDecApprox(jd) {
-  // Low-precision solar position (sufficient for dawn button visualization).
-  // Mean longitude / anomaly referenced to J2000.
-  const n = jd - 2451545.0;
-  const L = deg2rad((280.460 + 0.9856474 * n) % 360);
-  const g = deg2rad((357.528 + 0.9856003 * n) % 360);
-  const lambda = L + deg2rad(1.915) * Math.sin(g) + deg2rad(0.020) * Math.sin(2*g);
-  const eps = deg2rad(23.439 - 0.0000004 * n);
-
-  const sinLam = Math.sin(lambda), cosLam = Math.cos(lambda);
-  const ra  = Math.atan2(Math.cos(eps) * sinLam, cosLam);
-  const dec = Math.asin(Math.sin(eps) * sinLam);
-
-  return { ra: (ra < 0 ? ra + Math.PI*2 : ra), dec };
-}
-
-function azAltFromRaDec(raRad, decRad, jd, latRad, lonRad) {
-  const lst = gmstRadians(jd) + lonRad;
-  const H = lst - raRad;
-
-  const sinDec = Math.sin(decRad), cosDec = Math.cos(decRad);
-  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
-
-  const sinAlt = sinDec*sinLat + cosDec*cosLat*Math.cos(H);
-  const alt = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
-
-  const cosAlt = Math.cos(alt);
-  const sinAz = -cosDec * Math.sin(H) / Math.max(1e-12, cosAlt);
-  const cosAz = (sinDec - sinAlt*sinLat) / Math.max(1e-12, (cosAlt*cosLat));
-  let az = Math.atan2(sinAz, cosAz);
-  if (az < 0) az += Math.PI * 2;
-
-  return { az, alt };
-}
-
-function findCivilDawnUTHours(y, doy, latDeg, lonDeg) {
-  const { m, d } = monthDayFromDOY(y, doy);
-  const latRad = deg2rad(latDeg);
-  const lonRad = deg2rad(lonDeg);
-
-  const targetAlt = deg2rad(-6.0); // civil dawn
-  let bestT = 6.0;
-  let bestErr = 1e9;
-
-  // Coarse scan (every 5 minutes) to find a bracket near the rising crossing.
-  let prevAlt = null;
-  let prevT = null;
-  for (let t = 0; t <= 24; t += (5/60)) {
-    const hh = Math.floor(t);
-    const mm = Math.round((t - hh) * 60);
-    const jd = julianDayFromYMDHMS(y, m, d, hh, mm, 0);
-    const { ra, dec } = sunRaDecApprox(jd);
-    const { alt } = azAltFromRaDec(ra, dec, jd, latRad, lonRad);
-
-    const err = Math.abs(alt - targetAlt);
-    if (err < bestErr) { bestErr = err; bestT = t; }
-
-    if (prevAlt !== null) {
-      // rising crossing: prev below target, now above target
-      if (prevAlt < targetAlt && alt >= targetAlt) {
-        // refine with binary search in [prevT, t]
-        let a = prevT, b = t;
-        for (let i = 0; i < 28; i++) {
-          const mid = (a + b) / 2;
-          const hhm = Math.floor(mid);
-          const mmm = Math.round((mid - hhm) * 60);
-          const jdM = julianDayFromYMDHMS(y, m, d, hhm, mmm, 0);
-          const s = sunRaDecApprox(jdM);
-          const aa = azAltFromRaDec(s.ra, s.dec, jdM, latRad, lonRad).alt;
-          if (aa < targetAlt) a = mid; else b = mid;
-        }
-        return (a + b) / 2;
-      }
-    }
-    prevAlt = alt;
-    prevT = t;
-  }
-
-  // Fallback: return the closest time if no crossing found.
-  return bestT;
-}
-
 if (btnMidnight) btnMidnight.addEventListener('click', () => setTimeHours(0.0));
 if (btnDawn) btnDawn.addEventListener('click', () => {
   const y = Number(yearSlider.value);
@@ -1562,7 +2254,6 @@ if (btnDawn) btnDawn.addEventListener('click', () => {
 
 
 function pad2(n) { return String(n).padStart(2, '0'); }
-function mod(a, n) { return ((a % n) + n) % n; }
 
 function astroYearToLabel(y) {
   // Astronomical year numbering: 0 = 1 BCE, -1 = 2 BCE, etc.
@@ -1571,53 +2262,6 @@ function astroYearToLabel(y) {
   return `${1 - y} BCE`;
 }
 
-function isLeapYear(y) {
-  // Proleptic Gregorian leap rule, extended to negative years.
-  const y400 = mod(y, 400);
-  const y100 = mod(y, 100);
-  const y4   = mod(y, 4);
-  return (y4 === 0) && (y100 !== 0 || y400 === 0);
-}
-
-function monthDayFromDOY(y, doy) {
-  const leap = isLeapYear(y);
-  const ml = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-  let m = 1;
-  let d = doy;
-  for (let i = 0; i < 12; i++) {
-    if (d > ml[i]) { d -= ml[i]; m++; } else break;
-  }
-  // clamp
-  if (m < 1) m = 1;
-  if (m > 12) m = 12;
-  if (d < 1) d = 1;
-  if (d > ml[m-1]) d = ml[m-1];
-  return { m, d };
-}
-
-function doyFromMonthDay(y, m, d) {
-  const leap = isLeapYear(y);
-  const ml = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-  let doy = 0;
-  for (let i = 0; i < m-1; i++) doy += ml[i];
-  return doy + d;
-}
-
-function julianDayFromYMDHMS(y, m, d, hh, mm, ss) {
-  // Proleptic Gregorian calendar, valid for negative years in astronomical numbering.
-  // Algorithm follows the standard Fliegel–Van Flandern / Meeus-style JD construction.
-  let Y = y;
-  let M = m;
-  if (M <= 2) { Y -= 1; M += 12; }
-  const A = Math.floor(Y / 100);
-  const B = 2 - A + Math.floor(A / 4);
-  const dayFrac = (hh + (mm + ss / 60) / 60) / 24;
-  const JD = Math.floor(365.25 * (Y + 4716))
-           + Math.floor(30.6001 * (M + 1))
-           + d + B - 1524.5 + dayFrac;
-  return JD;
-}
-
 function getSelectedJDandEPJ() {
   const y = Number(yearInput.value);
   const doy = Number(doySlider.value);
@@ -1626,12 +2270,13 @@ function getSelectedJDandEPJ() {
   const mm = Math.round((hourFloat - hh) * 60);
   const { m, d } = monthDayFromDOY(y, doy);
 
-  const jd = julianDayFromYMDHMS(y, m, d, hh, mm, 0);
+  const jd = julianDayFromYMDHMS(y, m, d, hh, mm, 0);  // UT
 
-  // Julian epoch (TT). For deep-time visualization we approximate TT ≈ UTC/UT.
-  const epj = 2000.0 + (jd - 2451545.0) / 365.25;
+  // Julian epoch (TT = UT + ΔT) for the precession model
+  const deltaT = deltaTForJD(jd);
+  const epj = julianEpochFromUT(jd);
 
-  return { jd, epj, y, m, d, hh, mm, doy };
+  return { jd, epj, deltaT, y, m, d, hh, mm, doy };
 }
 
 const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
@@ -1653,11 +2298,45 @@ function formatTime12h(hh, mm) {
   return `${hour12}:${pad2(mm)} ${ampm}`;
 }
 
+// Human-scale ΔT: seconds, hours or days depending on magnitude
+function formatDuration(sec) {
+  const a = Math.abs(sec);
+  if (a >= 86400 * 2) return `${(sec / 86400).toFixed(1)} d`;
+  if (a >= 3600) return `${(sec / 3600).toFixed(1)} h`;
+  if (a >= 120) return `${(sec / 60).toFixed(1)} min`;
+  return `${sec.toFixed(1)} s`;
+}
+
+const ROMAN = ['I', 'II', 'III', 'IV'];
+
+function formatCalendarDate({ y, m, d }, calendar) {
+  if (calendar === 'egyptian') {
+    if (m === 13) return `Epagomenal ${d}`;
+    return `${ROMAN[(m - 1) % 4]} ${EGYPTIAN_SEASONS[Math.floor((m - 1) / 4)]} ${d}`;
+  }
+  const label = `${MONTH_NAMES[m - 1]} ${d}${ordinalSuffix(d)}`;
+  return calendar === 'julian' ? `${label} (Jul.)` : label;
+}
+
 function updateTimeLabels() {
-  const { y, m, d, hh, mm, doy } = getSelectedJDandEPJ();
+  const { jd, deltaT, y, hh, mm } = getSelectedJDandEPJ();
   if (yearBig) yearBig.textContent = astroYearToLabel(y);
-  doyLabel.textContent = `${MONTH_NAMES[m - 1]} ${d}${ordinalSuffix(d)}`;
+  const cal = calendarDateFromJD(jd, currentCalendar);
+  doyLabel.textContent = formatCalendarDate(cal, currentCalendar);
+  doyLabel.title = currentCalendar === 'egyptian' && cal.m <= 12
+    ? `${EGYPTIAN_MONTH_NAMES[cal.m - 1]} ${cal.d}, year ${cal.y} of Nabonassar`
+    : `${CALENDARS[currentCalendar].label} ${astroYearToLabel(cal.y)}`;
+  if (dateInput && document.activeElement !== dateInput) {
+    dateInput.value = `${cal.y}-${pad2(cal.m)}-${pad2(cal.d)}`;
+  }
   timeLabel.textContent = formatTime12h(hh, mm);
+  if (deltaTLabel) {
+    const sigma = getDeltaTModel() === 'none' ? 0 : deltaTUncertaintySeconds(decimalYearFromJD(jd));
+    deltaTLabel.textContent = `ΔT ${deltaT >= 0 ? '+' : ''}${formatDuration(deltaT)} ± ${formatDuration(sigma)}`;
+    deltaTLabel.title = `TT − UT = ${Math.round(deltaT).toLocaleString()} s ± ${Math.round(sigma).toLocaleString()} s (1σ)`;
+  }
+  updateHeliacalPanel(y);
+  drawErrorChart();
 }
 
 function setDefaults() {
@@ -1677,28 +2356,200 @@ function setDefaults() {
   updateTimeLabels();
 }
 
+const TRACK_HEIGHT_SINGLE = 28;  // px, a lone track keeps the original bar layout
+const TRACK_HEIGHT_STACKED = 15;  // px per row when several tracks are shown
+
+// Validate tracks.json -> tracks with numeric, ordered item ranges (bad items are dropped)
+function parseTimelineTracks(data) {
+  const list = Array.isArray(data) ? data : data?.tracks;
+  if (!Array.isArray(list)) throw new Error('expected { "tracks": [...] }');
+  return list
+    .filter(t => t && typeof t.name === 'string' && Array.isArray(t.items))
+    .map(t => ({
+      name: t.name,
+      color: typeof t.color === 'string' ? t.color : '#888',
+      visible: t.visible !== false,
+      items: t.items
+        .filter(it => it && typeof it.name === 'string' && Number.isFinite(it.start))
+        .map(it => {
+          const end = Number.isFinite(it.end) ? it.end : it.start;
+          return {
+            name: it.name,
+            start: Math.min(it.start, end),
+            end: Math.max(it.start, end),
+            color: typeof it.color === 'string' ? it.color : null,
+            note: typeof it.note === 'string' ? it.note : ''
+          };
+        })
+    }));
+}
+
+// Per-track visibility chosen in Settings, by track name, overriding tracks.json "visible"
+const TRACK_VISIBILITY_STORAGE_KEY = 'giza-alignments-track-visibility';
+
+function loadTrackVisibility() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(TRACK_VISIBILITY_STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (err) {
+    console.warn('Stored track visibility unreadable:', err.message);
+    return {};
+  }
+}
+
+function setTrackVisible(name, visible) {
+  const track = TIMELINE_TRACKS.find(t => t.name === name);
+  if (!track) return;
+  track.visible = visible;
+  const stored = loadTrackVisibility();
+  stored[name] = visible;
+  try {
+    localStorage.setItem(TRACK_VISIBILITY_STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.error('Failed to store track visibility:', err);
+  }
+  console.log('=== TIMELINE TRACK TOGGLED ===');
+  console.log(`"${name}".visible = ${visible};`);
+  renderDynastyTrack();
+}
+
+function renderTrackToggles() {
+  const container = document.getElementById('trackToggles');
+  if (!container) return;
+  container.innerHTML = '';
+  for (const t of TIMELINE_TRACKS) {
+    const label = document.createElement('label');
+    label.className = 'toggle-box checkbox';
+    label.title = `Show "${t.name}" under the timeline`;
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = t.visible;
+    input.addEventListener('change', () => setTrackVisible(t.name, input.checked));
+    const text = document.createElement('span');
+    text.className = 'toggle-label';
+    text.textContent = t.name;
+    label.append(input, text);
+    container.appendChild(label);
+  }
+}
+
+function loadTimelineTracks(url = timelineTracksUrl) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+      return response.json();
+    })
+    .then(data => {
+      TIMELINE_TRACKS = parseTimelineTracks(data);
+      timelineTracksUrl = url;
+      const stored = loadTrackVisibility();
+      for (const t of TIMELINE_TRACKS) {
+        if (Object.hasOwn(stored, t.name) && typeof stored[t.name] === 'boolean') t.visible = stored[t.name];
+      }
+      console.log('Timeline tracks loaded:', TIMELINE_TRACKS.map(t => t.name));
+      renderTrackToggles();
+      renderDynastyTrack();
+    })
+    .catch(err => console.error('Failed to load timeline tracks:', err));
+}
+
+// Move to a year keeping origin, lock and camera (track items, story year: links)
+function jumpToYear(year, note) {
+  year = Math.max(SCALE_BREAKPOINTS_EXPANDED[0].year, Math.min(YEAR_MAX, Math.round(year)));
+  if (year < -5500 && timelineMode !== 'expanded') setTimelineMode('expanded');
+  yearInput.value = String(year);
+  console.log('=== YEAR JUMP ===');
+  console.log(`year = ${year}; // ${note}`);
+  clearPresetHighlights();
+  syncYearFromInput();
+  applySnapMode();
+}
+
+// Click on a track item: jump to its start year
+function jumpToTrackItem(item) {
+  jumpToYear(item.start, item.name);
+}
+
 function renderDynastyTrack() {
   const track = document.getElementById('dynastyTrack');
   if (!track) return;
 
   track.innerHTML = '';
 
-  for (const d of DYNASTIES) {
-    // Convert years to slider positions (0-100%)
-    const leftSlider = yearToSlider(d.start) / 10;  // 0-100%
-    const rightSlider = yearToSlider(d.end) / 10;
-    const width = rightSlider - leftSlider;
+  // The bar, error chart and right panel are sized from this (styles.css)
+  const tracks = TIMELINE_TRACKS.filter(t => t.visible);
+  const rowHeight = tracks.length > 1 ? TRACK_HEIGHT_STACKED : TRACK_HEIGHT_SINGLE;
+  document.documentElement.style.setProperty('--dynasty-track-height', `${Math.max(1, tracks.length) * rowHeight}px`);
+
+  tracks.forEach((t, row) => {
+    const rowEl = document.createElement('div');
+    rowEl.className = tracks.length > 1 ? 'track-row stacked' : 'track-row';
+    rowEl.style.top = (row * rowHeight) + 'px';
+    rowEl.style.height = rowHeight + 'px';
+
+    for (const d of t.items) {
+      // Skip if completely outside visible range
+      if (d.end < YEAR_MIN || d.start > YEAR_MAX) continue;
+
+      // Convert years to slider positions (0-100%)
+      const leftSlider = yearToSlider(d.start) / 10;
+      const rightSlider = yearToSlider(d.end) / 10;
+
+      const el = document.createElement('div');
+      el.className = 'dynasty';
+      el.style.left = leftSlider + '%';
+      el.style.width = Math.max(0.3, rightSlider - leftSlider) + '%';
+      el.style.background = d.color || t.color;
+      el.textContent = d.name;
+      const span = d.start === d.end ? astroYearToLabel(d.start) : `${astroYearToLabel(d.start)} – ${astroYearToLabel(d.end)}`;
+      el.title = `${t.name}\n${d.name}: ${span}${d.note ? `\n${d.note}` : ''}`;
+      el.addEventListener('click', () => jumpToTrackItem(d));
+      rowEl.appendChild(el);
+    }
 
-    // Skip if completely outside visible range
-    if (rightSlider < 0 || leftSlider > 100) continue;
+    const label = document.createElement('span');
+    label.className = 'track-name';
+    label.textContent = t.name;
+    rowEl.appendChild(label);
+    track.appendChild(rowEl);
+  });
+}
+
+// loadTimelineTracks('my-tracks.json') from the console to compare chronologies
+window.loadTimelineTracks = loadTimelineTracks;
+
+// Zodiacal ages across the visible range, bounded where the equinox point crosses an
+// IAU constellation border (empty until the boundaries load)
+let ageSpansCache = { key: null, spans: [] };
+
+function getAgeSpans() {
+  const key = `${YEAR_MIN}|${YEAR_MAX}|${constBounds.length}`;
+  if (ageSpansCache.key !== key) {
+    const spans = constBounds.length ? zodiacalAgeSpans(constBounds, YEAR_MIN, YEAR_MAX, AGE_SCAN_STEP) : [];
+    ageSpansCache = { key, spans };
+  }
+  return ageSpansCache.spans;
+}
+
+function renderAgeTrack() {
+  const track = document.getElementById('ageTrack');
+  if (!track) return;
+
+  track.innerHTML = '';
+
+  for (const a of getAgeSpans()) {
+    const leftSlider = yearToSlider(a.start) / 10;  // 0-100%
+    const rightSlider = yearToSlider(a.end) / 10;
 
     const el = document.createElement('div');
-    el.className = 'dynasty';
-    el.style.left = Math.max(0, leftSlider) + '%';
-    el.style.width = Math.min(100 - Math.max(0, leftSlider), width) + '%';
-    el.style.background = d.color;
-    el.textContent = d.name;
-    el.title = `${d.name}: ${Math.abs(d.start)} BCE – ${d.end < 0 ? Math.abs(d.end) + ' BCE' : d.end + ' CE'}`;
+    el.className = 'age';
+    el.style.left = leftSlider + '%';
+    el.style.width = (rightSlider - leftSlider) + '%';
+    el.style.background = AGE_COLORS[a.con] || '#777';
+    el.textContent = constellationName(a.con);
+    const from = a.start <= YEAR_MIN ? 'before ' + astroYearToLabel(YEAR_MIN) : astroYearToLabel(Math.round(a.start));
+    const to = a.end >= YEAR_MAX ? 'present' : astroYearToLabel(Math.round(a.end));
+    el.title = `Age of ${constellationName(a.con)} (vernal equinox in ${a.con}): ${from} – ${to}`;
     track.appendChild(el);
   }
 }
@@ -1810,42 +2661,16 @@ function syncYearFromInput() {
   scheduleSkyUpdate();
 }
 
-// Calculate exact transit time (hours from midnight) for a star on a given day
-function getExactTransitTime(jd0, raRad, lonRad) {
-  // Transit occurs when LST = RA
-  // LST = GMST + longitude
-  // GMST increases at ~360.9856°/day = 15.041°/hour in sidereal rate
-
-  const gmst0 = gmstRadians(jd0);  // GMST at start of day (midnight)
-  const lst0 = gmst0 + lonRad;     // LST at midnight
-
-  // Hour angle at midnight (how far past transit we are)
-  let hourAngle = lst0 - raRad;
-  // Normalize to [-π, π]
-  hourAngle = ((hourAngle + Math.PI) % (2 * Math.PI)) - Math.PI;
-  if (hourAngle < -Math.PI) hourAngle += 2 * Math.PI;
-
-  // Sidereal rate: 360.98564736629 deg/day = 15.04106864... deg/hour
-  const siderealRateRadPerHour = deg2rad(360.98564736629 / 24);
-
-  // Time until transit (negative hour angle means transit is in the future)
-  let transitHours = -hourAngle / siderealRateRadPerHour;
-
-  // Normalize to [0, 24) range
-  transitHours = ((transitHours % 24) + 24) % 24;
-
-  return transitHours;
-}
-
-// Find when Alnilam culminates (transits) closest to midnight for best visibility
-function findAlnilamCulmination(y) {
+// Find when a star culminates (transits) closest to midnight for best visibility
+function findTargetCulmination(y, star) {
   const lonRad = deg2rad(REF_LON_DEG);
 
   // Compute precession once for mid-year (sufficient accuracy for day selection)
   const jdMid = julianDayFromYMDHMS(y, 6, 21, 0, 0, 0);
-  const epj = 2000.0 + (jdMid - 2451545.0) / 365.25;
+  const epj = julianEpochFromUT(jdMid);
   const rp = ltp_PMAT(epj);
-  const v0 = raDecToVec(ALNILAM_RA_RAD, ALNILAM_DEC_RAD);
+  const a = starRaDecAtEpoch(star, epj);
+  const v0 = raDecToVec(a.ra, a.dec);
   const vD = matVec(rp, v0);
   const { ra } = vecToRaDec(vD);
 
@@ -1869,10 +2694,306 @@ function findAlnilamCulmination(y) {
     }
   }
 
-  console.log(`findAlnilamCulmination(${y}): doy=${bestDoy}, time=${bestTime.toFixed(4)}`);
+  console.log(`findTargetCulmination(${y}, ${starShortName(star)}): doy=${bestDoy}, time=${bestTime.toFixed(4)}`);
   return { doy: bestDoy, time: bestTime };
 }
 
+// -----------------------------
+// Heliacal rising / setting (first/last visibility of a star in twilight)
+// Target star is chosen in the Heliacal section; Sirius until the catalog loads.
+// -----------------------------
+const heliacalStarSelect = document.getElementById('heliacalStarSelect');
+const heliacalReadout    = document.getElementById('heliacalReadout');
+const heliacalPlot       = document.getElementById('heliacalPlot');
+
+const HELIACAL_PLOT_SAMPLES = 120;
+let heliacalStar = SIRIUS;
+let heliacalCache = { key: null, events: null };
+let heliacalSeries = { key: null, points: [] };
+
+// Heliacal events for the target star at the current origin (cached per year)
+function getHeliacalEvents(y) {
+  const key = `${heliacalStar.id}|${y}|${currentOriginKey}|${getDeltaTModel()}`;
+  if (heliacalCache.key !== key) {
+    heliacalCache = { key, events: findHeliacalEvents(heliacalStar, y, REF_LAT_DEG, REF_LON_DEG) };
+  }
+  return heliacalCache.events;
+}
+
+// Fill a <select> with the named catalog stars, brightest first
+function fillStarSelect(select, selectedId) {
+  const named = starsData.filter(s => s.name).sort((a, b) => a.mag - b.mag);
+  select.innerHTML = '';
+  for (const s of named) {
+    const opt = document.createElement('option');
+    opt.value = String(s.id);
+    opt.textContent = `${s.name} (${s.mag.toFixed(1)})`;
+    select.appendChild(opt);
+  }
+  select.value = String(selectedId);
+}
+
+function populateHeliacalStarSelect() {
+  if (!heliacalStarSelect) return;
+  const current = starsData.find(s => s.id === heliacalStar.id && s.name);
+  if (current) heliacalStar = current;
+  fillStarSelect(heliacalStarSelect, heliacalStar.id);
+  updateHeliacalPanel(Number(yearInput.value));
+}
+
+function formatDoy(y, doy) {
+  const { m, d } = monthDayFromDOY(y, doy);
+  return `${MONTH_NAMES[m - 1].slice(0, 3)} ${d}`;
+}
+
+function updateHeliacalPanel(y) {
+  if (heliacalReadout) {
+    const ev = getHeliacalEvents(y);
+    const rise = ev.rising ? formatDoy(y, ev.rising.doy) : '—';
+    const set = ev.setting ? formatDoy(y, ev.setting.doy) : '—';
+    heliacalReadout.textContent = `Rises ${rise} · Sets ${set} · AV ${ev.arcusVisionisDeg.toFixed(1)}°`;
+  }
+  drawHeliacalPlot(y);
+}
+
+// Rising day-of-year sampled across the current timeline range (recomputed when inputs change)
+function getHeliacalSeries() {
+  const key = `${heliacalStar.id}|${currentOriginKey}|${YEAR_MIN}|${YEAR_MAX}|${getDeltaTModel()}`;
+  if (heliacalSeries.key !== key) {
+    const points = [];
+    for (let i = 0; i <= HELIACAL_PLOT_SAMPLES; i++) {
+      const year = Math.round(YEAR_MIN + (YEAR_MAX - YEAR_MIN) * i / HELIACAL_PLOT_SAMPLES);
+      const ev = findHeliacalEvents(heliacalStar, year, REF_LAT_DEG, REF_LON_DEG);
+      points.push({ year, rising: ev.rising ? ev.rising.doy : null, setting: ev.setting ? ev.setting.doy : null });
+    }
+    heliacalSeries = { key, points };
+  }
+  return heliacalSeries.points;
+}
+
+function drawHeliacalPlot(currentYear) {
+  if (!heliacalPlot) return;
+  const ctx = heliacalPlot.getContext('2d');
+  const W = heliacalPlot.width, H = heliacalPlot.height;
+  const padL = 28, padR = 6, padT = 6, padB = 16;
+  const xOf = (year) => padL + (year - YEAR_MIN) / (YEAR_MAX - YEAR_MIN) * (W - padL - padR);
+  const yOf = (doy) => padT + (doy - 1) / 365 * (H - padT - padB);
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.font = '10px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif';
+  ctx.fillStyle = '#3a4653';
+  ctx.strokeStyle = 'rgba(0,0,0,0.12)';
+  ctx.lineWidth = 1;
+
+  // Month gridlines (Jan at top)
+  ['Jan', 'Apr', 'Jul', 'Oct'].forEach((label, q) => {
+    const yy = yOf(1 + q * 91.3);
+    ctx.beginPath(); ctx.moveTo(padL, yy); ctx.lineTo(W - padR, yy); ctx.stroke();
+    ctx.fillText(label, 2, yy + 3);
+  });
+  ctx.fillText(astroYearToLabel(YEAR_MIN), padL, H - 3);
+  const maxLabel = astroYearToLabel(YEAR_MAX);
+  ctx.fillText(maxLabel, W - padR - ctx.measureText(maxLabel).width, H - 3);
+
+  // Rising (red) and setting (grey) dates
+  const series = getHeliacalSeries();
+  for (const [field, color] of [['setting', '#9aa5b1'], ['rising', '#b3261e']]) {
+    ctx.fillStyle = color;
+    for (const p of series) {
+      if (p[field] === null) continue;
+      ctx.fillRect(xOf(p.year) - 1, yOf(p[field]) - 1, 2.5, 2.5);
+    }
+  }
+
+  // Current year
+  const x = xOf(Math.max(YEAR_MIN, Math.min(YEAR_MAX, currentYear)));
+  ctx.strokeStyle = '#0b5fff';
+  ctx.beginPath(); ctx.moveTo(x, padT); ctx.lineTo(x, H - padB); ctx.stroke();
+}
+
+if (heliacalStarSelect) {
+  heliacalStarSelect.addEventListener('change', () => {
+    const star = starsData.find(s => String(s.id) === heliacalStarSelect.value);
+    if (!star) return;
+    heliacalStar = star;
+    console.log('=== HELIACAL STAR CHANGED ===');
+    console.log(`heliacalStar = "${star.name}";`);
+    applySnapMode();
+  });
+}
+
+// Console helper: heliacalEvents('Sirius', -2780) -> { rising, setting, arcusVisionisDeg }
+window.heliacalEvents = function(nameOrHip, year = Number(yearInput.value)) {
+  const q = String(nameOrHip).toLowerCase();
+  const star = starsData.find(s => String(s.id) === q || (s.name && s.name.toLowerCase() === q))
+    || (q === 'sirius' ? SIRIUS : null);
+  if (!star) throw new Error(`Unknown star: ${nameOrHip}`);
+  return findHeliacalEvents(star, year, REF_LAT_DEG, REF_LON_DEG);
+};
+
+// -----------------------------
+// Solstices / equinoxes: true solar-longitude instants, so the calendar date drifts
+// with the proleptic Gregorian calendar and the precession of perihelion
+// -----------------------------
+// Dawn locks -> season
+const DAWN_LOCKS = {
+  'dawn':        'summer-solstice',
+  'dawn-winter': 'winter-solstice',
+  'dawn-spring': 'spring-equinox',
+  'dawn-autumn': 'autumn-equinox'
+};
+
+// Day-of-year (UT date) of the season's instant in year y
+function findSeasonDoy(y, seasonKey) {
+  const jd = findSolarLongitudeInstantUT(y, SEASONS[seasonKey].longitudeDeg);
+  const nDays = doyFromMonthDay(y, 12, 31);
+  const doy = Math.max(1, Math.min(nDays, Math.floor(jd - julianDayFromYMDHMS(y, 1, 1, 0, 0, 0)) + 1));
+  return { doy, jd };
+}
+
+// Civil dawn on the day of the solstice/equinox
+function findSeasonDawn(y, seasonKey) {
+  const { doy } = findSeasonDoy(y, seasonKey);
+  const time = findCivilDawnUTHours(y, doy, REF_LAT_DEG, REF_LON_DEG);
+  return { doy, time };
+}
+
+// -----------------------------
+// Custom lock: target star + event + seasonal anchor, built in the Locks section
+// -----------------------------
+const SEASONAL_ANCHORS = {
+  ...SEASONS,
+  'date': { label: "Calendar date" }
+};
+
+let customLock = { starId: SIRIUS.id, event: 'rise', valueDeg: 0, anchor: 'summer-solstice', month: 6, day: 21 };
+
+// Fields of a custom lock from a link or preset file, or null if any present field is
+// unusable (names are checked as own keys so "constructor" and friends don't pass)
+function sanitizeCustomLock(lock) {
+  if (!lock || typeof lock !== 'object') return null;
+  const checks = {
+    starId: v => Number.isInteger(v),
+    event: v => typeof v === 'string' && Object.hasOwn(STAR_EVENTS, v),
+    valueDeg: v => Number.isFinite(v),
+    anchor: v => typeof v === 'string' && Object.hasOwn(SEASONAL_ANCHORS, v),
+    month: v => Number.isInteger(v) && v >= 1 && v <= 12,
+    day: v => Number.isInteger(v) && v >= 1 && v <= 31
+  };
+  const clean = {};
+  for (const [key, ok] of Object.entries(checks)) {
+    if (lock[key] === undefined) continue;
+    if (!ok(lock[key])) return null;
+    clean[key] = lock[key];
+  }
+  return clean;
+}
+
+const lockBuilder      = document.getElementById('lockBuilder');
+const lockStarSelect   = document.getElementById('lockStarSelect');
+const lockEventSelect  = document.getElementById('lockEventSelect');
+const lockEventValue   = document.getElementById('lockEventValue');
+const lockAnchorSelect = document.getElementById('lockAnchorSelect');
+const lockAnchorMonth  = document.getElementById('lockAnchorMonth');
+const lockAnchorDay    = document.getElementById('lockAnchorDay');
+
+function customLockStar() {
+  return starsData.find(s => s.id === customLock.starId)
+    || [SIRIUS, ALNILAM].find(s => s.id === customLock.starId)
+    || SIRIUS;
+}
+
+function anchorDoy(y) {
+  if (SEASONS[customLock.anchor]) return findSeasonDoy(y, customLock.anchor).doy;
+  const month = Math.max(1, Math.min(12, Math.round(customLock.month)));
+  const lastDay = month === 12 ? 31 : monthDayFromDOY(y, doyFromMonthDay(y, month + 1, 1) - 1).d;
+  const day = Math.max(1, Math.min(lastDay, Math.round(customLock.day)));
+  return doyFromMonthDay(y, month, day);
+}
+
+// Altitudes are entered as seen (apparent); the solver works in true altitude
+function customLockEventValue() {
+  if (customLock.event === 'rise' || customLock.event === 'set') return trueAltitude(0);
+  if (customLock.event === 'altitude') return trueAltitude(deg2rad(customLock.valueDeg));
+  if (customLock.event === 'azimuth') return deg2rad(customLock.valueDeg);
+  return 0;
+}
+
+// Event time (UT hours) on the anchor day for the custom lock; time is null if the event never happens
+function findCustomLock(y) {
+  const doy = anchorDoy(y);
+  const { m, d } = monthDayFromDOY(y, doy);
+  const jd0 = julianDayFromYMDHMS(y, m, d, 0, 0, 0);
+  const latRad = deg2rad(REF_LAT_DEG);
+  const lonRad = deg2rad(REF_LON_DEG);
+
+  const epj = julianEpochFromUT(jd0 + 0.5);
+  const a = starRaDecAtEpoch(customLockStar(), epj);
+  const { ra, dec } = vecToRaDec(matVec(ltp_PMAT(epj), raDecToVec(a.ra, a.dec)));
+
+  const time = getStarEventTime(jd0, ra, dec, latRad, lonRad, customLock.event, customLockEventValue());
+  console.log(`findCustomLock(${y}): doy=${doy}, time=${time === null ? 'none' : time.toFixed(4)}`);
+  return { doy, time };
+}
+
+function populateLockBuilder() {
+  if (lockEventSelect && !lockEventSelect.options.length) {
+    for (const [key, ev] of Object.entries(STAR_EVENTS)) {
+      lockEventSelect.add(new Option(ev.label, key));
+    }
+  }
+  if (lockAnchorSelect && !lockAnchorSelect.options.length) {
+    for (const [key, anchor] of Object.entries(SEASONAL_ANCHORS)) {
+      lockAnchorSelect.add(new Option(anchor.label, key));
+    }
+  }
+  syncLockBuilder();
+}
+
+function syncLockBuilder() {
+  if (lockStarSelect) lockStarSelect.value = String(customLock.starId);
+  if (lockEventSelect) lockEventSelect.value = customLock.event;
+  if (lockEventValue) {
+    lockEventValue.value = String(customLock.valueDeg);
+    lockEventValue.disabled = !STAR_EVENTS[customLock.event].needsValue;
+  }
+  if (lockAnchorSelect) lockAnchorSelect.value = customLock.anchor;
+  const isDate = customLock.anchor === 'date';
+  if (lockAnchorMonth) { lockAnchorMonth.value = String(customLock.month); lockAnchorMonth.disabled = !isDate; }
+  if (lockAnchorDay) { lockAnchorDay.value = String(customLock.day); lockAnchorDay.disabled = !isDate; }
+}
+
+function readLockBuilder() {
+  const num = (el, fallback) => {
+    const v = el ? Number(el.value) : NaN;
+    return Number.isFinite(v) ? v : fallback;
+  };
+  customLock = {
+    starId: lockStarSelect ? Number(lockStarSelect.value) : customLock.starId,
+    event: lockEventSelect ? lockEventSelect.value : customLock.event,
+    valueDeg: num(lockEventValue, customLock.valueDeg),
+    anchor: lockAnchorSelect ? lockAnchorSelect.value : customLock.anchor,
+    month: num(lockAnchorMonth, customLock.month),
+    day: num(lockAnchorDay, customLock.day)
+  };
+  syncLockBuilder();
+  console.log('=== CUSTOM LOCK CHANGED ===');
+  console.log(`customLock = ${JSON.stringify(customLock)};`);
+
+  // Editing the builder selects the custom lock
+  const radio = document.querySelector('input[name="snapMode"][value="custom"]');
+  if (radio) radio.checked = true;
+  clearPresetHighlights();
+  applySnapMode();
+}
+
+[lockStarSelect, lockEventSelect, lockEventValue, lockAnchorSelect, lockAnchorMonth, lockAnchorDay].forEach(el => {
+  if (el) el.addEventListener('change', readLockBuilder);
+});
+populateLockBuilder();
+
+// Lock names links and presets may use: the radio values in index.html
+const SNAP_MODES = [...document.querySelectorAll('input[name="snapMode"]')].map(r => r.value);
 
 // Apply snap mode settings (used by both year slider and snap mode radio clicks)
 function applySnapMode() {
@@ -1886,21 +3007,42 @@ function applySnapMode() {
     // No lock - sliders are freely adjustable
     doyGroup.classList.remove('locked');
     timeGroup.classList.remove('locked');
-  } else if (mode === 'dawn') {
-    // Summer solstice dawn (6:00 AM)
-    doySlider.value = '172';
-    timeSlider.value = '6';
+  } else if (DAWN_LOCKS[mode]) {
+    // Civil dawn on the day of the true solstice / equinox
+    const { doy, time } = findSeasonDawn(y, DAWN_LOCKS[mode]);
+    doySlider.value = String(doy);
+    timeSlider.value = time.toFixed(2);
     doyGroup.classList.add('locked');
     timeGroup.classList.add('locked');
   } else if (mode === 'culmination') {
-    // Alnilam culmination - find when it transits closest to midnight
-    const { doy, time } = findAlnilamCulmination(y);
+    // Active shaft target culmination - find when it transits closest to midnight
+    const { doy, time } = findTargetCulmination(y, activeShaft().target);
     doySlider.value = String(doy);
     timeSlider.value = time.toFixed(2);
     doyGroup.classList.add('locked');
     timeGroup.classList.add('locked');
+  } else if (mode === 'custom') {
+    // Custom lock - chosen star event on the anchor day
+    const { doy, time } = findCustomLock(y);
+    doySlider.value = String(doy);
+    if (time !== null) timeSlider.value = time.toFixed(2);
+    doyGroup.classList.add('locked');
+    timeGroup.classList.add('locked');
+  } else if (mode === 'heliacal') {
+    // Heliacal rising of the target star - the morning it first reappears, at the moment it rises
+    const { rising } = getHeliacalEvents(y);
+    if (rising) {
+      doySlider.value = String(rising.doy);
+      timeSlider.value = rising.time.toFixed(2);
+    } else {
+      console.log(`No heliacal rising of ${heliacalStar.name} in ${y} at ${currentOriginKey}`);
+    }
+    doyGroup.classList.add('locked');
+    timeGroup.classList.add('locked');
   }
 
+  if (lockBuilder) lockBuilder.classList.toggle('active', mode === 'custom');
+
   updateTimeLabels();
   scheduleSkyUpdate();
 }
@@ -1945,11 +3087,27 @@ yearInput.addEventListener('change', () => {
 });
 
 // Helper function to log full state - call from console: logState()
+// Everything a shared link restores (see deeplink.js)
+function viewState() {
+  return {
+    year: Number(yearInput.value),
+    doy: Number(doySlider.value),
+    time: Number(timeSlider.value),
+    origin: currentOriginKey,
+    snapMode: document.querySelector('input[name="snapMode"]:checked').value,
+    shaft: activeShaftKey,
+    target: activeShaft().target.id,
+    heliacalStar: heliacalStar.id,
+    customLock: { ...customLock },
+    camera: { position: camera.position.toArray(), target: controls.target.toArray() },
+    timeline: timelineMode,
+    story: currentStoryKey
+  };
+}
+
 window.logState = function() {
-  const y = Number(yearInput.value);
-  const snapMode = document.querySelector('input[name="snapMode"]:checked').value;
-  const doy = Number(doySlider.value);
-  const time = Number(timeSlider.value);
+  const state = viewState();
+  const { year: y, doy, time, snapMode } = state;
 
   console.log('=== FULL STATE ===');
   console.log(`const PRESET = {`);
@@ -1958,13 +3116,17 @@ window.logState = function() {
   console.log(`  time: ${time.toFixed(2)},`);
   console.log(`  origin: "${currentOriginKey}",`);
   console.log(`  snapMode: "${snapMode}",`);
+  console.log(`  shaft: "${activeShaftKey}",`);
+  console.log(`  target: ${activeShaft().target.id},  // ${starLabel(activeShaft().target)}`);
+  if (snapMode === 'custom') console.log(`  customLock: ${JSON.stringify(customLock)},`);
   console.log(`  camera: {`);
   console.log(`    position: [${camera.position.x.toFixed(1)}, ${camera.position.y.toFixed(1)}, ${camera.position.z.toFixed(1)}],`);
   console.log(`    target: [${controls.target.x.toFixed(1)}, ${controls.target.y.toFixed(1)}, ${controls.target.z.toFixed(1)}]`);
   console.log(`  }`);
   console.log(`};`);
+  console.log(`Link: ${location.origin}${location.pathname}${encodeViewState(state)}`);
 
-  return { year: y, doy, time, origin: currentOriginKey, snapMode, camera: { position: camera.position.toArray(), target: controls.target.toArray() } };
+  return state;
 };
 
 doySlider.addEventListener('input', () => {
@@ -1981,103 +3143,308 @@ timeSlider.addEventListener('input', () => {
 
 
 // -----------------------------
-// FIND ALIGNMENT - animated search
+// FIND ALIGNMENT - global minimum search over the timeline
 // -----------------------------
-function calculateErrorAngle(year) {
-  // Find optimal day/time when Alnilam is highest for this year
-  const { doy, time } = findAlnilamCulmination(year);
-  const { m, d } = monthDayFromDOY(year, doy);
-  const hh = Math.floor(time);
-  const mm = Math.round((time - hh) * 60);
+// Geometry the alignment error depends on: shaft direction, observer and target star
+function alignmentParams() {
+  const shaft = activeShaft();
+  return { dir: shaft.dir, latRad: deg2rad(REF_LAT_DEG), lonRad: deg2rad(REF_LON_DEG), target: shaft.target };
+}
 
-  const jd = julianDayFromYMDHMS(year, m, d, hh, mm, 0);
-  const epj = 2000.0 + (jd - 2451545.0) / 365.25;
-  const rp = ltp_PMAT(epj);
+// One Monte Carlo draw of alignmentParams(): shaft inclination/azimuth and site
+// coordinates perturbed by their 1σ uncertainties
+function sampleAlignmentParams(rng) {
+  const shaft = activeShaft();
+  const v = shaftSurveyValues(shaft);
+  const site = ORIGIN_SITES[currentOriginKey];
+  const alt = v.alt + rng.normal() * (v.altSigma ?? 0);
+  const az = v.az + rng.normal() * (v.azSigma ?? 0);
+  return {
+    dir: dirFromAzAlt(deg2rad(az), deg2rad(alt)),
+    latRad: deg2rad(REF_LAT_DEG + rng.normal() * (site.latSigma ?? 0)),
+    lonRad: deg2rad(REF_LON_DEG + rng.normal() * (site.lonSigma ?? 0)),
+    target: shaft.target
+  };
+}
 
-  const latRad = deg2rad(REF_LAT_DEG);
-  const lonRad = deg2rad(REF_LON_DEG);
+// Target–shaft angle (deg) at the target's upper culmination on the day of a fractional
+// astronomical year; continuous in time so minima can be refined below one year
+function alignmentErrorAtYear(yearFloat, params = alignmentParams()) {
+  const { dir: shaftDir, latRad, lonRad, target } = params;
+  const y = Math.floor(yearFloat);
+  const jdStart = julianDayFromYMDHMS(y, 1, 1, 0, 0, 0);
+  const jdEnd = julianDayFromYMDHMS(y + 1, 1, 1, 0, 0, 0);
+  const jd0 = jdStart + Math.floor((yearFloat - y) * (jdEnd - jdStart));  // 0h UT of that day
 
-  const vA = equatorialJ2000ToHorizontalUnit(ALNILAM_RA_RAD, ALNILAM_DEC_RAD, jd, latRad, lonRad, rp);
-  const dir = new THREE.Vector3(vA.x, vA.y, vA.z).normalize();
+  const epj = julianEpochFromUT(jd0);
+  const rp = ltp_PMAT(epj);
+  const a = starRaDecAtEpoch(target, epj);
+  const { ra } = vecToRaDec(matVec(rp, raDecToVec(a.ra, a.dec)));
+  const jd = jd0 + getExactTransitTime(jd0, ra, lonRad) / 24;
 
-  const dotProduct = dir.dot(shaftDir);
-  const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
-  return rad2deg(angle);
+  const vA = equatorialJ2000ToHorizontalUnit(a.ra, a.dec, jd, latRad, lonRad, rp);
+  const dir = new THREE.Vector3(vA.x, vA.y, vA.z).normalize();
+  return rad2deg(Math.acos(Math.max(-1, Math.min(1, dir.dot(shaftDir)))));
 }
 
+const ALIGNMENT_SEARCH_MIN = -100000;   // whole expanded timeline
+const ALIGNMENT_SCAN_STEP = 50;         // years between samples when bracketing minima
+const ALIGNMENT_TOLERANCE = 0.01;       // years
+const ALIGNMENT_MAX_RESULTS = 10;
+const ALIGNMENT_MC_WINDOW = 2000;       // years either side of a minimum a perturbed minimum may move
+const ALIGNMENT_MC_TOLERANCE = 0.5;     // years
+let alignmentMonteCarlo = { samples: 100, seed: 1 };  // overridable from settings.json "uncertainty"
+
+const btnFindAlignment = document.getElementById('btnFindAlignment');
+const alignmentResultsEl = document.getElementById('alignmentResults');
+const alignmentStatusEl = document.getElementById('alignmentStatus');
+
 let alignmentSearchActive = false;
+let alignmentResults = [];
 
+// Scan the whole timeline, bracket every minimum of the error, refine each and rank them
 async function findAlignment() {
-  if (alignmentSearchActive) return;
+  if (alignmentSearchActive) return alignmentResults;
   alignmentSearchActive = true;
+  if (btnFindAlignment) btnFindAlignment.disabled = true;
+  if (alignmentStatusEl) alignmentStatusEl.textContent = 'Searching…';
 
   console.log('=== FINDING ALIGNMENT ===');
+  console.log(`Range: ${ALIGNMENT_SEARCH_MIN}..${YEAR_MAX}, step ${ALIGNMENT_SCAN_STEP} yr, origin ${currentOriginKey}`);
+
+  // Let the status paint before the (synchronous) scan
+  await new Promise(r => requestAnimationFrame(() => setTimeout(r, 0)));
+
+  const t0 = performance.now();
+  const nominal = alignmentParams();
+  const minima = findAllMinima(y => alignmentErrorAtYear(y, nominal), ALIGNMENT_SEARCH_MIN, YEAR_MAX + 1, {
+    step: ALIGNMENT_SCAN_STEP, tol: ALIGNMENT_TOLERANCE
+  });
+  alignmentResults = minima.slice(0, ALIGNMENT_MAX_RESULTS).map(m => ({ year: m.x, error: m.fx, boundary: m.boundary, range: null }));
+  console.log(`${minima.length} minima in ${(performance.now() - t0).toFixed(0)} ms`);
+  renderAlignmentResults();
+
+  // Monte Carlo: re-solve each minimum with perturbed shaft/site parameters. A perturbed
+  // minimum stays in its own basin: halfway to the neighbouring minima, at most the window.
+  const years = minima.map(m => m.x).sort((a, b) => a - b);
+  const { samples, seed } = alignmentMonteCarlo;
+  for (let k = 0; k < alignmentResults.length; k++) {
+    const r = alignmentResults[k];
+    if (alignmentStatusEl) alignmentStatusEl.textContent = `Uncertainty ${k + 1}/${alignmentResults.length}…`;
+    await new Promise(res => setTimeout(res, 0));
+
+    const i = years.indexOf(r.year);
+    const lo = Math.max(ALIGNMENT_SEARCH_MIN, r.year - ALIGNMENT_MC_WINDOW, i > 0 ? (years[i - 1] + r.year) / 2 : -Infinity);
+    const hi = Math.min(YEAR_MAX + 1, r.year + ALIGNMENT_MC_WINDOW, i < years.length - 1 ? (years[i + 1] + r.year) / 2 : Infinity);
+    const rng = createRng(seed + k);
+    const epochs = [];
+    for (let n = 0; n < samples; n++) {
+      const p = sampleAlignmentParams(rng);
+      epochs.push(goldenSectionMinimize(y => alignmentErrorAtYear(y, p), lo, hi, ALIGNMENT_MC_TOLERANCE).x);
+    }
+    r.range = summarizeSamples(epochs);
+  }
+
+  console.log('=== ALIGNMENT SEARCH COMPLETE ===');
+  console.log(`${minima.length} minima, ${samples} Monte Carlo samples each, in ${(performance.now() - t0).toFixed(0)} ms`);
+  alignmentResults.forEach((r, i) => console.log(`  ${i + 1}. year ${r.year.toFixed(2)}, error ${r.error.toFixed(3)}°` +
+    `, 68% ${r.range.ci68.map(v => v.toFixed(0)).join('..')}, 95% ${r.range.ci95.map(v => v.toFixed(0)).join('..')}` +
+    `${r.boundary ? ' (range edge)' : ''}`));
+
+  renderAlignmentResults();
+  drawErrorChart();
+  if (alignmentStatusEl) alignmentStatusEl.textContent = `${minima.length} minima found`;
+  if (btnFindAlignment) btnFindAlignment.disabled = false;
+  alignmentSearchActive = false;
+  return alignmentResults;
+}
+
+function renderAlignmentResults() {
+  if (!alignmentResultsEl) return;
+  alignmentResultsEl.innerHTML = '';
+  for (const r of alignmentResults) {
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'alignment-result';
+    btn.innerHTML = `<span>${astroYearToLabel(Math.round(r.year))}${r.boundary ? ' ⇤' : ''}</span><span class="mono">${r.error.toFixed(3)}°</span>`;
+    btn.title = `Astronomical year ${r.year.toFixed(2)}${r.boundary ? ' (minimum at the edge of the timeline)' : ''}`;
+    if (r.range) {
+      const fmt = ([a, b]) => `${astroYearToLabel(Math.round(a))} – ${astroYearToLabel(Math.round(b))}`;
+      const range = document.createElement('span');
+      range.className = 'alignment-range';
+      range.textContent = `68% ${fmt(r.range.ci68)} · 95% ${fmt(r.range.ci95)}`;
+      btn.appendChild(range);
+      btn.title += `\nMonte Carlo (${r.range.n} samples): median ${r.range.median.toFixed(1)}`;
+    }
+    btn.addEventListener('click', () => jumpToAlignment(r.range ? r.range.median : r.year));
+    li.appendChild(btn);
+    alignmentResultsEl.appendChild(li);
+  }
+  renderAlignmentBands();
+}
+
+// Shaded confidence bands on the timeline slider (95% light, 68% dark, median tick)
+function renderAlignmentBands() {
+  const track = document.getElementById('alignmentBands');
+  if (!track) return;
+  track.innerHTML = '';
+  const pos = (year) => Math.max(0, Math.min(100, yearToSlider(year) / 10));  // 0-100%
+  for (const r of alignmentResults) {
+    if (!r.range) continue;
+    if (r.range.ci95[1] < YEAR_MIN || r.range.ci95[0] > YEAR_MAX) continue;
+    for (const [cls, [a, b]] of [['ci95', r.range.ci95], ['ci68', r.range.ci68]]) {
+      const el = document.createElement('div');
+      el.className = `alignment-band ${cls}`;
+      el.style.left = pos(a) + '%';
+      el.style.width = Math.max(0.2, pos(b) - pos(a)) + '%';
+      track.appendChild(el);
+    }
+    const tick = document.createElement('div');
+    tick.className = 'alignment-band median';
+    tick.style.left = pos(r.range.median) + '%';
+    track.appendChild(tick);
+  }
+}
+
+// Jump to an alignment epoch with the target culmination lock
+function jumpToAlignment(yearFloat) {
+  const year = Math.round(yearFloat);
+  if (year < -5500 && timelineMode !== 'expanded') setTimelineMode('expanded');
 
-  // Switch to "Alnilam highest" mode
   const culminationRadio = document.querySelector('input[name="snapMode"][value="culmination"]');
   if (culminationRadio) culminationRadio.checked = true;
 
-  const stepSize = 100; // Always 100 years
-  const targetError = 0.5;
+  yearInput.value = String(year);
+  clearPresetHighlights();
+  syncYearFromInput();
+  applySnapMode();
+  console.log(`=== JUMP TO ALIGNMENT: ${year} ===`);
+}
+
+if (btnFindAlignment) btnFindAlignment.addEventListener('click', () => findAlignment());
 
-  let year = Number(yearInput.value);
-  let currentError = calculateErrorAngle(year);
-  let iterations = 0;
-  const maxIterations = 5000;
-
-  console.log('=== FIND ALIGNMENT START ===');
-  console.log(`Starting year: ${year}, stepSize: ${stepSize}, target: ${targetError}°`);
-  console.log(`Initial error: ${currentError.toFixed(2)}°`);
-
-  while (currentError > targetError && iterations < maxIterations) {
-    // Sample error in both directions
-    const errorMinus = calculateErrorAngle(year - stepSize);
-    const errorPlus = calculateErrorAngle(year + stepSize);
-
-    console.log(`[${iterations}] year=${year}, err=${currentError.toFixed(2)}°, err-=${errorMinus.toFixed(2)}°, err+=${errorPlus.toFixed(2)}°`);
-
-    // Move in the direction that reduces error
-    if (errorMinus < currentError && errorMinus <= errorPlus) {
-      console.log(`  -> Moving BACK ${stepSize} years`);
-      year -= stepSize;
-      currentError = errorMinus;
-    } else if (errorPlus < currentError) {
-      console.log(`  -> Moving FORWARD ${stepSize} years`);
-      year += stepSize;
-      currentError = errorPlus;
-    } else {
-      // Neither direction improves - this is the best we can do with 100-year steps
-      console.log(`  -> LOCAL MINIMUM at ${year}, error ${currentError.toFixed(2)}°`);
-      break;
-    }
+// findAlignment() can also be called from the console
+window.findAlignment = findAlignment;
+
+// -----------------------------
+// Alignment error chart above the timeline bar
+// x follows the (piecewise) slider mapping so the curve lines up with the tick scale
+// -----------------------------
+const errorChart = document.getElementById('errorChart');
+const ERROR_CHART_SNAP_PX = 8;  // clicks this close to a minimum jump to the minimum itself
+
+let errorChartSeries = { key: null, samples: [], minima: [] };
+
+function errorChartKey(width) {
+  const { alt, az } = shaftSurveyValues(activeShaft());
+  return `${timelineMode}|${currentOriginKey}|${activeShaftKey}|${activeShaft().target.id}|${alt}|${az}|${getDeltaTModel()}|${JSON.stringify(getAtmosphere())}|${width}`;
+}
 
-    // Clamp to valid range
-    year = Math.max(YEAR_MIN, Math.min(YEAR_MAX, year));
+// One sample per device pixel column; minima refined between neighbouring columns
+function getErrorChartSeries(width) {
+  const key = errorChartKey(width);
+  if (errorChartSeries.key === key) return errorChartSeries;
 
-    // Update UI
-    const { doy, time } = findAlnilamCulmination(year);
-    doySlider.value = String(doy);
-    timeSlider.value = time.toFixed(2);
-    yearInput.value = String(year);
-    yearSlider.value = String(yearToSlider(year));
-    updateTimeLabels();
-    scheduleSkyUpdate();
+  const samples = [];
+  for (let px = 0; px < width; px++) {
+    const year = sliderToYear(px / (width - 1) * 1000);
+    samples.push({ px, year, error: alignmentErrorAtYear(year) });
+  }
+  const minima = [];
+  for (let i = 1; i < samples.length - 1; i++) {
+    const e = samples[i].error;
+    if (e <= samples[i - 1].error && e < samples[i + 1].error) {
+      const { x, fx } = goldenSectionMinimize(alignmentErrorAtYear, samples[i - 1].year, samples[i + 1].year, ALIGNMENT_TOLERANCE);
+      minima.push({ year: x, error: fx, px: i });
+    }
+  }
+  errorChartSeries = { key, samples, minima };
+  return errorChartSeries;
+}
 
-    await new Promise(r => requestAnimationFrame(() => setTimeout(r, 50)));
-    iterations++;
+function drawErrorChart() {
+  if (!errorChart || !errorChart.clientWidth) return;
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  const W = Math.round(errorChart.clientWidth * dpr);
+  const H = Math.round(errorChart.clientHeight * dpr);
+  if (errorChart.width !== W) errorChart.width = W;
+  if (errorChart.height !== H) errorChart.height = H;
+
+  const { samples, minima } = getErrorChartSeries(W);
+  const ctx = errorChart.getContext('2d');
+  ctx.clearRect(0, 0, W, H);
+
+  const padT = 12 * dpr, padB = 4 * dpr;
+  const maxErr = Math.max(1, Math.min(45, Math.max(...samples.map(p => p.error))));
+  const yOf = (err) => padT + Math.min(err, maxErr) / maxErr * (H - padT - padB);  // 0° at the top
+
+  // Alignment confidence bands from the last search
+  const xOf = (year) => yearToSlider(year) / 1000 * (W - 1);
+  for (const r of alignmentResults) {
+    if (!r.range) continue;
+    ctx.fillStyle = 'rgba(0,102,170,0.10)';
+    ctx.fillRect(xOf(r.range.ci95[0]), 0, Math.max(1, xOf(r.range.ci95[1]) - xOf(r.range.ci95[0])), H);
+    ctx.fillStyle = 'rgba(0,102,170,0.20)';
+    ctx.fillRect(xOf(r.range.ci68[0]), 0, Math.max(1, xOf(r.range.ci68[1]) - xOf(r.range.ci68[0])), H);
   }
 
-  // Done
-  alignmentSearchActive = false;
+  // 1° reference line
+  ctx.strokeStyle = 'rgba(0,0,0,0.15)';
+  ctx.setLineDash([4 * dpr, 4 * dpr]);
+  ctx.beginPath(); ctx.moveTo(0, yOf(1)); ctx.lineTo(W, yOf(1)); ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.font = `${10 * dpr}px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif`;
+  ctx.fillStyle = '#555';
+  ctx.fillText(`${activeShaft().label} → ${starShortName(activeShaft().target)} error (0–${maxErr.toFixed(0)}°)`, 4 * dpr, 10 * dpr);
+
+  // Error curve
+  ctx.strokeStyle = '#0066aa';
+  ctx.lineWidth = 1.5 * dpr;
+  ctx.beginPath();
+  samples.forEach((p, i) => (i ? ctx.lineTo(p.px, yOf(p.error)) : ctx.moveTo(p.px, yOf(p.error))));
+  ctx.stroke();
+
+  // Minima
+  ctx.fillStyle = '#d00000';
+  for (const m of minima) {
+    ctx.beginPath();
+    ctx.arc(m.px, yOf(m.error), 3 * dpr, 0, Math.PI * 2);
+    ctx.fill();
+  }
 
-  console.log('=== ALIGNMENT SEARCH COMPLETE ===');
-  console.log(`Final: year ${year}, error ${currentError.toFixed(2)}°, iterations: ${iterations}`);
+  // Current year
+  const x = yearToSlider(Number(yearInput.value)) / 1000 * (W - 1);
+  ctx.strokeStyle = '#d00000';
+  ctx.lineWidth = 1 * dpr;
+  ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
+}
 
-  const resultYear = astroYearToLabel(year);
-  alert(`Alignment found at ${resultYear}\nError: ${currentError.toFixed(2)}°`);
+function errorChartYearAt(evt) {
+  const rect = errorChart.getBoundingClientRect();
+  const fx = Math.max(0, Math.min(1, (evt.clientX - rect.left) / rect.width));
+  const px = fx * (errorChart.width - 1);
+  const near = errorChartSeries.minima.find(m => Math.abs(m.px - px) <= ERROR_CHART_SNAP_PX * (errorChart.width / rect.width));
+  return near ? { year: Math.round(near.year), minimum: near } : { year: sliderToYear(fx * 1000), minimum: null };
 }
 
-// findAlignment() can be called programmatically from console
+if (errorChart) {
+  errorChart.addEventListener('click', (evt) => {
+    const { year } = errorChartYearAt(evt);
+    yearInput.value = String(year);
+    console.log('=== ERROR CHART JUMP ===');
+    console.log(`year = ${year};`);
+    clearPresetHighlights();
+    syncYearFromInput();
+    applySnapMode();
+  });
+  errorChart.addEventListener('mousemove', (evt) => {
+    const { year, minimum } = errorChartYearAt(evt);
+    const err = minimum ? minimum.error : alignmentErrorAtYear(year);
+    errorChart.title = `${astroYearToLabel(year)}: ${err.toFixed(2)}°${minimum ? ' (minimum)' : ''}`;
+  });
+  window.addEventListener('resize', drawErrorChart);
+}
 
 // -----------------------------
 // Fullscreen Toggle
@@ -2110,46 +3477,9 @@ function parseStoryFile(text) {
 }
 
 function formatStoryContent(text) {
-  // Split into paragraphs and format
-  const lines = text.split('\n');
-  let html = '';
-  let inList = false;
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) {
-      if (inList) {
-        html += '</ul>';
-        inList = false;
-      }
-      continue;
-    }
-
-    // Check for bullet points
-    if (trimmed.startsWith('•') || trimmed.startsWith('-')) {
-      if (!inList) {
-        html += '<ul>';
-        inList = true;
-      }
-      html += `<li>${trimmed.slice(1).trim()}</li>`;
-    } else if (lines.indexOf(line) === 0 || (lines.indexOf(line) === 1 && !lines[0].trim())) {
-      // First non-empty line is the title
-      if (inList) {
-        html += '</ul>';
-        inList = false;
-      }
-      html += `<h2>${trimmed}</h2>`;
-    } else {
-      if (inList) {
-        html += '</ul>';
-        inList = false;
-      }
-      html += `<p>${trimmed}</p>`;
-    }
-  }
-
-  if (inList) html += '</ul>';
-  return html;
+  // Markdown with a plain first line as the title; the renderer escapes everything
+  // (user presets and imported files carry their own stories)
+  return renderMarkdown(text, { titleFirstLine: true });
 }
 
 function clearPresetHighlights() {
@@ -2163,7 +3493,7 @@ function clearPresetHighlights() {
 }
 
 function showStory(key) {
-  const content = storyData[key] || storyData['default'] || 'No content available.';
+  const content = (Object.hasOwn(storyData, key) && storyData[key]) || findPreset(key)?.story || storyData['default'] || 'No content available.';
   const storyEl = document.getElementById('storyContent');
   storyEl.innerHTML = formatStoryContent(content);
   currentStoryKey = key;
@@ -2177,19 +3507,63 @@ function showStory(key) {
   document.querySelectorAll('.preset-marker-btn').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.presetKey === key);
   });
+  scheduleHashUpdate();
+}
+
+// Action links in stories and tour narration: [text](preset:key), [text](year:-10500),
+// [text](state:year=-10500&origin=sphinx&...) with the deep-link keys
+function runStoryAction(action, arg) {
+  if (action === 'preset') {
+    const preset = findPreset(arg);
+    if (!preset) {
+      console.warn(`Story link: unknown preset "${arg}"`);
+      return;
+    }
+    applyPreset(preset);
+  } else if (action === 'year') {
+    const year = Number(arg);
+    if (!Number.isFinite(year)) {
+      console.warn(`Story link: bad year "${arg}"`);
+      return;
+    }
+    jumpToYear(year, 'story link');
+  } else if (action === 'state') {
+    const state = decodeViewState(arg);
+    if (!state) {
+      console.warn(`Story link: no year in "${arg}"`);
+      return;
+    }
+    applyViewState(state);
+  }
 }
 
+document.getElementById('storyContent').addEventListener('click', (e) => {
+  const link = e.target.closest('a.story-action');
+  if (!link) return;
+  e.preventDefault();
+  if (tour.playing) pauseTour();
+  runStoryAction(link.dataset.action, link.dataset.arg);
+});
+
 // Load story content
 let storyLoaded = false;
 let presetsLoaded = false;
+let skyLoadSettled = false;  // a linked target star needs the catalog
+let startupViewApplied = false;
 
 function applyDefaultPreset() {
   // Only run once both story and presets are loaded
-  if (!storyLoaded || !presetsLoaded) return;
-  if (PRESETS.khufu2600) {
-    applyPreset(PRESETS.khufu2600);
-    showStory('khufu2600');
+  if (!storyLoaded || !presetsLoaded || startupViewApplied) return;
+  if (initialViewState && !skyLoadSettled) return;
+  startupViewApplied = true;
+  // A link naming something unknown falls back to the default view (and is overwritten)
+  if (!initialViewState || !applyViewState(initialViewState)) {
+    if (PRESETS.khufu2600) {
+      applyPreset(PRESETS.khufu2600);
+      showStory('khufu2600');
+    }
   }
+  scheduleHashUpdate();
 }
 
 fetch('story.txt')
@@ -2223,18 +3597,87 @@ document.querySelectorAll('.story-preset-btn').forEach(btn => {
 // Presets loaded from external JSON file
 let PRESETS = {};
 
-const PRESET_LABELS = {
-  sphinx47k: 'Sphinx 47k BC',
-  sphinx25k: 'Sphinx 25k BC',
-  khufu2600: 'Khufu 2500 BC'
-};
+// User presets ("Save View"), kept in localStorage under keys prefixed "user-"
+const USER_PRESETS_STORAGE_KEY = 'giza-alignments-user-presets';
+const PRESET_LABEL_MAX = 40;
+let USER_PRESETS = loadUserPresets();
+
+function allPresets() {
+  return { ...PRESETS, ...USER_PRESETS };
+}
+
+// Preset by key from links, stories and tours, or null ("constructor" is not a preset)
+function findPreset(key) {
+  const presets = allPresets();
+  return typeof key === 'string' && Object.hasOwn(presets, key) ? presets[key] : null;
+}
+
+function isFiniteTriple(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+}
+
+// A preset applyPreset can use, or null; unknown fields are dropped
+function sanitizePreset(p) {
+  if (!p || typeof p !== 'object' || !Number.isFinite(p.year)) return null;
+  if (typeof p.origin !== 'string' || !Object.hasOwn(ORIGIN_SITES, p.origin)) return null;
+  if (!SNAP_MODES.includes(p.snapMode)) return null;
+  if (!p.camera || !isFiniteTriple(p.camera.position) || !isFiniteTriple(p.camera.target)) return null;
+
+  const preset = { year: Math.round(p.year), origin: p.origin, snapMode: p.snapMode };
+  if (typeof p.label === 'string' && p.label.trim()) preset.label = p.label.trim().slice(0, PRESET_LABEL_MAX);
+  if (typeof p.story === 'string' && p.story.trim()) preset.story = p.story;
+  if (Number.isInteger(p.doy)) preset.doy = p.doy;
+  if (Number.isFinite(p.time)) preset.time = p.time;
+  if (typeof p.shaft === 'string' && Object.hasOwn(SHAFTS, p.shaft)) preset.shaft = p.shaft;
+  if (Number.isInteger(p.target)) preset.target = p.target;
+  if (p.customLock !== undefined) {
+    preset.customLock = sanitizeCustomLock(p.customLock);
+    if (!preset.customLock) return null;
+  }
+  preset.camera = { position: [...p.camera.position], target: [...p.camera.target] };
+  return preset;
+}
+
+function loadUserPresets() {
+  const presets = {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(USER_PRESETS_STORAGE_KEY) || '{}');
+    for (const [key, p] of Object.entries(stored)) {
+      const preset = sanitizePreset(p);
+      if (preset) presets[key] = preset;
+    }
+  } catch (err) {
+    console.warn('Stored presets unreadable:', err.message);
+  }
+  return presets;
+}
+
+function saveUserPresets() {
+  try {
+    localStorage.setItem(USER_PRESETS_STORAGE_KEY, JSON.stringify(USER_PRESETS));
+  } catch (err) {
+    console.error('Failed to store presets:', err);
+  }
+}
+
+// "user-khufu-at-dawn", "user-khufu-at-dawn-2", ...
+function userPresetKey(label) {
+  const slug = label.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+  let key = `user-${slug}`;
+  for (let i = 2; findPreset(key); i++) key = `user-${slug}-${i}`;
+  return key;
+}
+
+function presetLabel(key, preset) {
+  return preset.label || key;
+}
 
 function renderPresetMarkers() {
   const container = document.getElementById('presetMarkers');
   if (!container) return;
   container.innerHTML = '';
 
-  for (const [key, preset] of Object.entries(PRESETS)) {
+  for (const [key, preset] of Object.entries(allPresets())) {
     // Skip presets outside current timeline range
     if (preset.year < YEAR_MIN || preset.year > YEAR_MAX) continue;
 
@@ -2245,8 +3688,9 @@ function renderPresetMarkers() {
     marker.style.left = sliderPos + '%';
 
     const btn = document.createElement('button');
-    btn.className = 'preset-marker-btn';
-    btn.textContent = PRESET_LABELS[key] || key;
+    const isUser = Object.hasOwn(USER_PRESETS, key);
+    btn.className = isUser ? 'preset-marker-btn user' : 'preset-marker-btn';
+    btn.textContent = presetLabel(key, preset);
     btn.dataset.presetKey = key;
     btn.addEventListener('click', () => {
       applyPreset(preset);
@@ -2258,6 +3702,14 @@ function renderPresetMarkers() {
 
     marker.appendChild(btn);
     marker.appendChild(line);
+    if (isUser) {
+      const del = document.createElement('button');
+      del.className = 'preset-marker-delete';
+      del.textContent = '×';
+      del.title = `Delete "${presetLabel(key, preset)}"`;
+      del.addEventListener('click', () => deleteUserPreset(key));
+      marker.appendChild(del);
+    }
     container.appendChild(marker);
   }
 }
@@ -2265,7 +3717,12 @@ function renderPresetMarkers() {
 fetch('presets.json')
   .then(response => response.json())
   .then(data => {
-    PRESETS = data;
+    PRESETS = {};
+    for (const [key, p] of Object.entries(data)) {
+      const preset = sanitizePreset(p);
+      if (preset) PRESETS[key] = preset;
+      else console.warn(`presets.json: preset "${key}" skipped`);
+    }
     console.log('Presets loaded:', Object.keys(PRESETS));
     renderPresetMarkers();
     presetsLoaded = true;
@@ -2273,6 +3730,25 @@ fetch('presets.json')
   })
   .catch(err => console.error('Failed to load presets:', err));
 
+// Origin, lock, shaft and target of a preset (the parts a tour switches before its sweep)
+function applyPresetSettings(preset) {
+  // Set origin
+  currentOriginKey = preset.origin;
+  document.querySelector(`input[name="origin"][value="${preset.origin}"]`).checked = true;
+  applyOrigin();
+
+  // Set snap mode
+  document.querySelector(`input[name="snapMode"][value="${preset.snapMode}"]`).checked = true;
+  if (preset.customLock) {
+    customLock = { ...customLock, ...preset.customLock };
+    syncLockBuilder();
+  }
+
+  // Set active shaft and its target (drive the culmination lock)
+  if (preset.shaft) setActiveShaft(preset.shaft);
+  if (preset.target) setTargetStar(`HIP ${preset.target}`);
+}
+
 function applyPreset(preset) {
   if (!preset) {
     console.warn('Preset not yet loaded');
@@ -2292,18 +3768,16 @@ function applyPreset(preset) {
     }
   }
 
-  // Set origin
-  currentOriginKey = preset.origin;
-  document.querySelector(`input[name="origin"][value="${preset.origin}"]`).checked = true;
-  applyOrigin();
-
-  // Set snap mode
-  document.querySelector(`input[name="snapMode"][value="${preset.snapMode}"]`).checked = true;
-
   // Set year
   yearInput.value = String(preset.year);
   yearSlider.value = String(yearToSlider(preset.year));
 
+  applyPresetSettings(preset);
+
+  // Saved views carry their day and time; locks recompute them
+  if (Number.isFinite(preset.doy)) doySlider.value = String(preset.doy);
+  if (Number.isFinite(preset.time)) timeSlider.value = preset.time.toFixed(2);
+
   // Apply snap mode (sets doy and time)
   applySnapMode();
 
@@ -2317,6 +3791,677 @@ function applyPreset(preset) {
 
 // Preset buttons are now rendered on the timeline bar via renderPresetMarkers()
 
+// -----------------------------
+// Preset authoring: save the current view with a label and story, export/import presets.json
+// -----------------------------
+const btnSavePreset = document.getElementById('btnSavePreset');
+const btnExportPresets = document.getElementById('btnExportPresets');
+const btnImportPresets = document.getElementById('btnImportPresets');
+const presetImportFile = document.getElementById('presetImportFile');
+const presetEditor = document.getElementById('presetEditor');
+const presetLabelInput = document.getElementById('presetLabelInput');
+const presetStoryInput = document.getElementById('presetStoryInput');
+const btnCancelPreset = document.getElementById('btnCancelPreset');
+
+// The state logState() reports, as a preset
+function presetFromView(label, story) {
+  const state = viewState();
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const preset = {
+    label,
+    year: state.year,
+    doy: state.doy,
+    time: state.time,
+    origin: state.origin,
+    snapMode: state.snapMode,
+    shaft: state.shaft,
+    target: state.target
+  };
+  if (state.snapMode === 'custom') preset.customLock = state.customLock;
+  preset.camera = { position: state.camera.position.map(round1), target: state.camera.target.map(round1) };
+  if (story.trim()) preset.story = story;
+  return preset;
+}
+
+function saveCurrentViewAsPreset(label, story = '') {
+  const key = userPresetKey(label);
+  USER_PRESETS[key] = sanitizePreset(presetFromView(label.trim().slice(0, PRESET_LABEL_MAX), story));
+  saveUserPresets();
+  console.log('=== PRESET SAVED ===');
+  console.log(`"${key}": ${JSON.stringify(USER_PRESETS[key])}`);
+  renderPresetMarkers();
+  showStory(key);
+  return key;
+}
+
+function deleteUserPreset(key) {
+  const preset = USER_PRESETS[key];
+  if (!preset || !confirm(`Delete preset "${presetLabel(key, preset)}"?`)) return;
+  delete USER_PRESETS[key];
+  saveUserPresets();
+  console.log('=== PRESET DELETED ===');
+  console.log(`key = "${key}";`);
+  renderPresetMarkers();
+  if (currentStoryKey === key) showStory('INTRO');
+}
+
+// Built-in and user presets in presets.json format (drop-in replacement for the file)
+function exportPresets() {
+  const blob = new Blob([JSON.stringify(allPresets(), null, 2) + '\n'], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'presets.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Presets from a presets.json file become user presets; built-in keys are skipped
+function importPresets(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object of presets');
+  let added = 0, skipped = 0;
+  for (const [key, p] of Object.entries(data)) {
+    const preset = sanitizePreset(p);
+    if (!preset || Object.hasOwn(PRESETS, key)) {
+      skipped++;
+      continue;
+    }
+    USER_PRESETS[key.startsWith('user-') ? key : userPresetKey(preset.label || key)] = preset;
+    added++;
+  }
+  saveUserPresets();
+  renderPresetMarkers();
+  console.log('=== PRESETS IMPORTED ===');
+  console.log(`added = ${added}; skipped = ${skipped};`);
+  return { added, skipped };
+}
+
+function openPresetEditor() {
+  if (!presetEditor) return;
+  presetLabelInput.value = `${ORIGIN_SITES[currentOriginKey].label} ${astroYearToLabel(Number(yearInput.value))}`;
+  presetStoryInput.value = '';
+  presetEditor.hidden = false;
+  presetLabelInput.focus();
+  presetLabelInput.select();
+}
+
+if (btnSavePreset) btnSavePreset.addEventListener('click', openPresetEditor);
+if (btnCancelPreset) btnCancelPreset.addEventListener('click', () => { presetEditor.hidden = true; });
+if (presetEditor) {
+  presetEditor.addEventListener('submit', (evt) => {
+    evt.preventDefault();
+    const label = presetLabelInput.value.trim();
+    if (!label) return;
+    saveCurrentViewAsPreset(label, presetStoryInput.value);
+    presetEditor.hidden = true;
+  });
+}
+if (btnExportPresets) btnExportPresets.addEventListener('click', exportPresets);
+if (btnImportPresets && presetImportFile) {
+  btnImportPresets.addEventListener('click', () => presetImportFile.click());
+  presetImportFile.addEventListener('change', () => {
+    const file = presetImportFile.files[0];
+    presetImportFile.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const { added, skipped } = importPresets(JSON.parse(text));
+        if (statusEl) statusEl.textContent = `Imported ${added} preset${added === 1 ? '' : 's'}${skipped ? `, skipped ${skipped}` : ''}`;
+      })
+      .catch(err => {
+        console.error('Failed to import presets:', err);
+        if (statusEl) statusEl.textContent = `Preset import failed: ${err.message}`;
+      });
+  });
+}
+
+// saveCurrentViewAsPreset('Khufu at dawn', 'Story...') from the console
+window.saveCurrentViewAsPreset = saveCurrentViewAsPreset;
+
+// -----------------------------
+// Guided tours (tours.json): each step is a preset (a key or an inline preset) with
+// narration and a duration in seconds. A played step tweens the camera and sweeps the
+// year through the intermediate epochs (in slider space, like the timeline), re-running
+// the lock as it goes, then holds until its duration is up.
+// -----------------------------
+const TOUR_TRANSITION_S = 4;        // default tween, counted inside the step's duration
+const TOUR_DURATION_S = 10;
+const TOUR_SKY_INTERVAL_MS = 100;   // lock + sky refresh rate during the year sweep
+
+const tourSelect = document.getElementById('tourSelect');
+const btnTourPrev = document.getElementById('btnTourPrev');
+const btnTourPlay = document.getElementById('btnTourPlay');
+const btnTourNext = document.getElementById('btnTourNext');
+const tourStepLabel = document.getElementById('tourStep');
+const tourProgressBar = document.querySelector('#tourProgress > div');
+
+let TOURS = [];
+const tour = {
+  key: null,          // id of the selected tour
+  index: -1,          // current step, -1 before the first
+  playing: false,
+  elapsed: 0,         // seconds into the current step
+  sweep: null,        // { from, to, preset } while the transition runs
+  lastTick: 0,
+  lastSkyRefresh: 0
+};
+
+function parseTours(data) {
+  const list = Array.isArray(data) ? data : data?.tours;
+  if (!Array.isArray(list)) throw new Error('expected { "tours": [...] }');
+  return list
+    .filter(t => t && typeof t.id === 'string' && Array.isArray(t.steps))
+    .map(t => ({
+      id: t.id,
+      label: typeof t.label === 'string' ? t.label : t.id,
+      steps: t.steps
+        .filter(st => st && (typeof st.preset === 'string' || typeof st.preset === 'object'))
+        .map(st => {
+          const duration = Number.isFinite(st.duration) && st.duration > 0 ? st.duration : TOUR_DURATION_S;
+          const transition = Number.isFinite(st.transition) && st.transition >= 0 ? st.transition : TOUR_TRANSITION_S;
+          return {
+            preset: st.preset,
+            narration: typeof st.narration === 'string' ? st.narration : '',
+            duration,
+            transition: Math.min(transition, duration)
+          };
+        })
+    }))
+    .filter(t => t.steps.length);
+}
+
+function currentTour() {
+  return TOURS.find(t => t.id === tour.key) || null;
+}
+
+// Presets are looked up when the step plays, so user presets and late loads work
+function tourStepPreset(step) {
+  return typeof step.preset === 'string' ? findPreset(step.preset) : sanitizePreset(step.preset);
+}
+
+function updateTourUI() {
+  const t = currentTour();
+  const n = t ? t.steps.length : 0;
+  if (btnTourPlay) {
+    btnTourPlay.textContent = tour.playing ? '⏸' : '▶';
+    btnTourPlay.disabled = !n;
+  }
+  if (btnTourPrev) btnTourPrev.disabled = tour.index <= 0;
+  if (btnTourNext) btnTourNext.disabled = !n || tour.index >= n - 1;
+  if (tourStepLabel) tourStepLabel.textContent = n ? `${Math.max(0, tour.index) + 1}/${n}` : '—';
+  if (tourProgressBar) {
+    const step = t && tour.index >= 0 ? t.steps[tour.index] : null;
+    tourProgressBar.style.width = step ? `${Math.min(100, tour.elapsed / step.duration * 100)}%` : '0%';
+  }
+}
+
+function showTourNarration(step) {
+  if (!step.narration) {
+    if (typeof step.preset === 'string') showStory(step.preset);
+    return;
+  }
+  clearPresetHighlights();
+  document.getElementById('storyContent').innerHTML = formatStoryContent(step.narration);
+  if (typeof step.preset === 'string') currentStoryKey = step.preset;
+}
+
+// Move to step i: animated when playing, otherwise the preset is applied at once
+function goToTourStep(i) {
+  const t = currentTour();
+  if (!t) return;
+  tour.index = Math.max(0, Math.min(t.steps.length - 1, i));
+  tour.elapsed = 0;
+  tour.sweep = null;
+  const step = t.steps[tour.index];
+  const preset = tourStepPreset(step);
+  console.log('=== TOUR STEP ===');
+  console.log(`tour = "${t.id}"; step = ${tour.index + 1};`);
+  if (!preset) {
+    console.warn(`Tour step ${tour.index + 1}: unknown preset`, step.preset);
+    updateTourUI();
+    return;
+  }
+
+  if (!tour.playing || step.transition === 0) {
+    applyPreset(preset);
+  } else {
+    // Discrete settings switch now; camera and year tween in updateTour()
+    const fromYear = Number(yearInput.value);
+    const mode = Math.min(fromYear, preset.year) < SCALE_BREAKPOINTS_STANDARD[0].year ? 'expanded' : 'standard';
+    if (timelineMode !== mode) setTimelineMode(mode);
+    applyPresetSettings(preset);
+    tour.sweep = {
+      preset,
+      from: { position: camera.position.clone(), target: controls.target.clone(), slider: yearToSlider(fromYear) },
+      to: {
+        position: new THREE.Vector3(...preset.camera.position),
+        target: new THREE.Vector3(...preset.camera.target),
+        slider: yearToSlider(preset.year)
+      }
+    };
+  }
+  showTourNarration(step);
+  updateTourUI();
+}
+
+function playTour() {
+  const t = currentTour();
+  if (!t) return;
+  pausePlayback();
+  tour.playing = true;
+  tour.lastTick = 0;
+  // Start (or restart after the last step) from the top
+  const atEnd = tour.index >= t.steps.length - 1 && tour.elapsed >= t.steps[tour.index].duration;
+  if (tour.index < 0 || atEnd) goToTourStep(0);
+  console.log('=== TOUR PLAYING ===');
+  updateTourUI();
+}
+
+function pauseTour() {
+  if (!tour.playing) return;
+  tour.playing = false;
+  console.log('=== TOUR PAUSED ===');
+  updateTourUI();
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Per-frame tour clock (called from animate)
+function updateTour(now) {
+  const dt = tour.lastTick ? (now - tour.lastTick) / 1000 : 0;
+  tour.lastTick = now;
+  const t = currentTour();
+  if (!tour.playing || !t || tour.index < 0) return;
+
+  const step = t.steps[tour.index];
+  tour.elapsed += dt;
+
+  const sweep = tour.sweep;
+  if (sweep) {
+    const k = step.transition > 0 ? Math.min(1, tour.elapsed / step.transition) : 1;
+    const e = easeInOutCubic(k);
+    camera.position.lerpVectors(sweep.from.position, sweep.to.position, e);
+    controls.target.lerpVectors(sweep.from.target, sweep.to.target, e);
+
+    const year = sliderToYear(sweep.from.slider + (sweep.to.slider - sweep.from.slider) * e);
+    if (k >= 1) {
+      tour.sweep = null;
+      applyPreset(sweep.preset);  // land exactly, including the preset's timeline mode
+    } else if (year !== Number(yearInput.value) && now - tour.lastSkyRefresh >= TOUR_SKY_INTERVAL_MS) {
+      tour.lastSkyRefresh = now;
+      yearInput.value = String(year);
+      yearSlider.value = String(yearToSlider(year));
+      applySnapMode();  // lock re-evaluated for the intermediate epoch; schedules the sky update
+    }
+  }
+
+  if (tour.elapsed >= step.duration) {
+    if (tour.index < t.steps.length - 1) goToTourStep(tour.index + 1);
+    else pauseTour();
+  }
+  updateTourUI();
+}
+
+function selectTour(key) {
+  pauseTour();
+  tour.key = key;
+  tour.index = -1;
+  tour.elapsed = 0;
+  tour.sweep = null;
+  updateTourUI();
+}
+
+function populateTourSelect() {
+  if (!tourSelect) return;
+  tourSelect.innerHTML = '';
+  for (const t of TOURS) tourSelect.add(new Option(t.label, t.id));
+  if (TOURS.length) {
+    tourSelect.value = TOURS.some(t => t.id === tour.key) ? tour.key : TOURS[0].id;
+    selectTour(tourSelect.value);
+  }
+  tourSelect.disabled = !TOURS.length;
+}
+
+fetch('tours.json')
+  .then(response => response.json())
+  .then(data => {
+    TOURS = parseTours(data);
+    console.log('Tours loaded:', TOURS.map(t => t.id));
+    populateTourSelect();
+  })
+  .catch(err => console.error('Failed to load tours:', err));
+
+if (tourSelect) tourSelect.addEventListener('change', () => selectTour(tourSelect.value));
+if (btnTourPlay) btnTourPlay.addEventListener('click', () => (tour.playing ? pauseTour() : playTour()));
+if (btnTourPrev) btnTourPrev.addEventListener('click', () => goToTourStep(tour.index - 1));
+if (btnTourNext) btnTourNext.addEventListener('click', () => goToTourStep(tour.index + 1));
+
+// Grabbing the camera stops the tween from fighting the user
+controls.addEventListener('start', pauseTour);
+updateTourUI();
+
+// -----------------------------
+// Time playback (timeline bar): advances the clock from animate(). Every lock fixes the
+// time of day, so hour rates need "No lock" and are disabled otherwise. Day rates step
+// the day and re-solve the lock's event on each one (dawn, transit, rising ...); year
+// rates step the year and re-run the lock for each, like dragging the year slider.
+// -----------------------------
+const PLAYBACK_RATES = {
+  '10min': { label: '10 min/s', unit: 'hour', perSecond: 1 / 6 },
+  '1h': { label: '1 hour/s', unit: 'hour', perSecond: 1 },
+  '1d': { label: '1 day/s', unit: 'day', perSecond: 1 },
+  '10d': { label: '10 days/s', unit: 'day', perSecond: 10 },
+  '1y': { label: '1 year/s', unit: 'year', perSecond: 1 },
+  '10y': { label: '10 years/s', unit: 'year', perSecond: 10 },
+  '100y': { label: '1 century/s', unit: 'year', perSecond: 100 },
+  '1000y': { label: '10 centuries/s', unit: 'year', perSecond: 1000 }
+};
+const PLAYBACK_LOCK_INTERVAL_MS = 100;  // locks are solved at most this often during year playback
+const PLAYBACK_LOCKED_FALLBACK = '1d';  // replaces an hour rate when a lock is picked
+
+const btnPlayback = document.getElementById('btnPlayback');
+const playbackRateSelect = document.getElementById('playbackRate');
+
+const playback = {
+  playing: false,
+  rate: '100y',
+  lastTick: 0,
+  lastSkyRefresh: 0,
+  lockMode: null, // lock the rate menu was last set up for
+  year: 0,        // fractional year (year rates)
+  hours: 0,       // hours since the start of the year (hour and day rates)
+  shown: null     // year/doy/time last written, to notice the user moving a slider
+};
+
+function playbackRate() {
+  return PLAYBACK_RATES[playback.rate];
+}
+
+function currentSnapMode() {
+  return document.querySelector('input[name="snapMode"]:checked').value;
+}
+
+function rateAllowed(key, mode = currentSnapMode()) {
+  return PLAYBACK_RATES[key].unit !== 'hour' || mode === 'none';
+}
+
+function daysInYear(y) {
+  return isLeapYear(y) ? 366 : 365;
+}
+
+// The active lock's event on a given day (UT hours), or null if it doesn't happen then
+function lockTimeOnDay(mode, y, doy) {
+  if (DAWN_LOCKS[mode]) return findCivilDawnUTHours(y, doy, REF_LAT_DEG, REF_LON_DEG);
+  const star = { culmination: activeShaft().target, heliacal: heliacalStar, custom: customLockStar() }[mode];
+  if (!star) return null;
+  const { m, d } = monthDayFromDOY(y, doy);
+  const jd0 = julianDayFromYMDHMS(y, m, d, 0, 0, 0);
+  const epj = julianEpochFromUT(jd0 + 0.5);
+  const a = starRaDecAtEpoch(star, epj);
+  const { ra, dec } = vecToRaDec(matVec(ltp_PMAT(epj), raDecToVec(a.ra, a.dec)));
+  const latRad = deg2rad(REF_LAT_DEG);
+  const lonRad = deg2rad(REF_LON_DEG);
+  if (mode === 'culmination') return getExactTransitTime(jd0, ra, lonRad);
+  if (mode === 'heliacal') return getStarEventTime(jd0, ra, dec, latRad, lonRad, 'rise', trueAltitude(0));
+  return getStarEventTime(jd0, ra, dec, latRad, lonRad, customLock.event, customLockEventValue());
+}
+
+// Pick up wherever the sliders are now
+function syncPlaybackClock() {
+  playback.year = Number(yearInput.value);
+  playback.hours = (Number(doySlider.value) - 1) * 24 + Number(timeSlider.value);
+  playback.shown = { year: yearInput.value, doy: doySlider.value, time: timeSlider.value };
+}
+
+function playbackClockMoved() {
+  const s = playback.shown;
+  return !s || s.year !== yearInput.value || s.doy !== doySlider.value || s.time !== timeSlider.value;
+}
+
+function updatePlaybackUI() {
+  if (btnPlayback) btnPlayback.textContent = playback.playing ? '⏸' : '▶';
+  if (!playbackRateSelect) return;
+  const mode = currentSnapMode();
+  for (const opt of playbackRateSelect.options) {
+    const allowed = rateAllowed(opt.value, mode);
+    opt.disabled = !allowed;
+    opt.textContent = allowed ? PLAYBACK_RATES[opt.value].label : `${PLAYBACK_RATES[opt.value].label} (No lock only)`;
+  }
+  playbackRateSelect.value = playback.rate;
+  playbackRateSelect.title = mode === 'none'
+    ? 'Playback speed'
+    : 'Playback speed: the lock fixes the time of day, so day and year rates re-solve it; hour rates need No lock';
+}
+
+function setPlaybackRate(key) {
+  if (!PLAYBACK_RATES[key]) return false;
+  if (!rateAllowed(key)) {
+    console.warn(`Playback rate "${key}" moves the time of day; choose No lock first`);
+    updatePlaybackUI();
+    return false;
+  }
+  playback.rate = key;
+  syncPlaybackClock();
+  console.log('=== PLAYBACK RATE CHANGED ===');
+  console.log(`playbackRate = "${key}"; // ${playbackRate().label}`);
+  updatePlaybackUI();
+  return true;
+}
+
+// Called every frame: a lock picked by hand, a preset or a link disables the hour rates
+function syncPlaybackWithLock() {
+  const mode = currentSnapMode();
+  if (mode === playback.lockMode) return;
+  playback.lockMode = mode;
+  if (!rateAllowed(playback.rate, mode)) {
+    playback.rate = PLAYBACK_LOCKED_FALLBACK;
+    syncPlaybackClock();
+    console.log('=== PLAYBACK RATE CHANGED ===');
+    console.log(`playbackRate = "${playback.rate}"; // "${mode}" lock fixes the time of day`);
+  }
+  updatePlaybackUI();
+}
+
+function playPlayback() {
+  if (playback.playing) return;
+  if (Number(yearInput.value) >= YEAR_MAX && playbackRate().unit === 'year') return;
+  pauseTour();
+  playback.playing = true;
+  playback.lastTick = 0;
+  syncPlaybackClock();
+  clearPresetHighlights();
+  console.log('=== PLAYBACK STARTED ===');
+  console.log(`playbackRate = "${playback.rate}"; // ${playbackRate().label} from ${astroYearToLabel(Number(yearInput.value))}`);
+  updatePlaybackUI();
+}
+
+function pausePlayback() {
+  if (!playback.playing) return;
+  playback.playing = false;
+  console.log('=== PLAYBACK PAUSED ===');
+  console.log(`year = ${yearInput.value}; doy = ${doySlider.value}; time = ${Number(timeSlider.value).toFixed(2)};`);
+  updatePlaybackUI();
+}
+
+function showPlaybackYear(year) {
+  yearInput.value = String(year);
+  yearSlider.value = String(yearToSlider(year));
+}
+
+// Hour and day rates: run the clock through the year, into the next ones
+function advancePlaybackHours(hours, mode) {
+  const prevDoy = doySlider.value;
+  const prevYear = yearInput.value;
+  playback.hours += hours;
+  let year = Number(yearInput.value);
+  while (playback.hours >= daysInYear(year) * 24 && year < YEAR_MAX) {
+    playback.hours -= daysInYear(year) * 24;
+    year++;
+  }
+  playback.hours = Math.min(playback.hours, daysInYear(year) * 24 - 0.05);
+  if (year !== Number(yearInput.value)) showPlaybackYear(year);
+  doySlider.value = String(Math.floor(playback.hours / 24) + 1);
+
+  if (mode === 'none') {
+    timeSlider.value = String(playback.hours % 24);
+  } else if (doySlider.value !== prevDoy || yearInput.value !== prevYear) {
+    // New day: the lock's event on it (kept at the last time if it doesn't happen)
+    const time = lockTimeOnDay(mode, year, Number(doySlider.value));
+    if (time !== null) timeSlider.value = time.toFixed(2);
+  } else {
+    return;
+  }
+  updateTimeLabels();
+  scheduleSkyUpdate();
+}
+
+// Per-frame playback clock (called from animate)
+function updatePlayback(now) {
+  const dt = playback.lastTick ? Math.min(0.25, (now - playback.lastTick) / 1000) : 0;
+  playback.lastTick = now;
+  syncPlaybackWithLock();
+  if (!playback.playing) return;
+  if (playbackClockMoved()) syncPlaybackClock();  // a slider, preset or link moved us
+
+  const rate = playbackRate();
+  const mode = currentSnapMode();
+  if (rate.unit === 'year') {
+    playback.year = Math.min(YEAR_MAX, playback.year + rate.perSecond * dt);
+    const year = Math.floor(playback.year);
+    if (year !== Number(yearInput.value) && (now - playback.lastSkyRefresh >= PLAYBACK_LOCK_INTERVAL_MS || year >= YEAR_MAX)) {
+      playback.lastSkyRefresh = now;
+      showPlaybackYear(year);
+      applySnapMode();  // re-solves the lock for this year; schedules the sky update
+    }
+  } else {
+    advancePlaybackHours(rate.perSecond * (rate.unit === 'day' ? 24 : 1) * dt, mode);
+  }
+  playback.shown = { year: yearInput.value, doy: doySlider.value, time: timeSlider.value };
+
+  const yearEnd = daysInYear(YEAR_MAX) * 24 - 0.05;
+  if (Number(yearInput.value) >= YEAR_MAX && (rate.unit === 'year' || playback.hours >= yearEnd)) {
+    pausePlayback();
+  }
+}
+
+if (playbackRateSelect) {
+  for (const [key, r] of Object.entries(PLAYBACK_RATES)) playbackRateSelect.add(new Option(r.label, key));
+  playbackRateSelect.addEventListener('change', () => setPlaybackRate(playbackRateSelect.value));
+}
+if (btnPlayback) btnPlayback.addEventListener('click', () => (playback.playing ? pausePlayback() : playPlayback()));
+updatePlaybackUI();
+
+window.playTime = function(rate) {
+  if (rate && !setPlaybackRate(rate)) return;
+  playPlayback();
+};
+window.pauseTime = pausePlayback;
+
+// -----------------------------
+// Deep links: the view state lives in the URL hash (deeplink.js), rewritten shortly
+// after each change and restored on load or when a pasted link changes the hash
+// -----------------------------
+const HASH_UPDATE_DELAY_MS = 400;
+let initialViewState = decodeViewState(location.hash);
+let hashUpdateTimer = null;
+
+function scheduleHashUpdate() {
+  if (!startupViewApplied) return;  // keep an incoming link until it has been applied
+  clearTimeout(hashUpdateTimer);
+  hashUpdateTimer = setTimeout(() => {
+    const hash = encodeViewState(viewState());
+    if (hash !== location.hash) history.replaceState(null, '', hash);
+  }, HASH_UPDATE_DELAY_MS);
+}
+
+// The state with every name checked against what the app knows, or null. A story the
+// app doesn't have (a preset saved in someone else's browser) is dropped, not fatal.
+function checkViewState(state) {
+  const fail = (why) => {
+    console.warn(`View state ignored: ${why}`);
+    return null;
+  };
+  if (!state || !Number.isFinite(state.year)) return fail('no year');
+  if (state.origin !== undefined && !Object.hasOwn(ORIGIN_SITES, state.origin)) return fail(`unknown origin "${state.origin}"`);
+  if (state.snapMode !== undefined && !SNAP_MODES.includes(state.snapMode)) return fail(`unknown lock "${state.snapMode}"`);
+  if (state.shaft !== undefined && !Object.hasOwn(SHAFTS, state.shaft)) return fail(`unknown shaft "${state.shaft}"`);
+  if (state.timeline !== undefined && state.timeline !== 'standard' && state.timeline !== 'expanded') {
+    return fail(`unknown timeline "${state.timeline}"`);
+  }
+  const checked = { ...state };
+  if (state.customLock !== undefined) {
+    checked.customLock = sanitizeCustomLock(state.customLock);
+    if (!checked.customLock) return fail(`bad custom lock ${JSON.stringify(state.customLock)}`);
+  }
+  if (state.story !== undefined && !Object.hasOwn(storyData, state.story) && !Object.hasOwn(allPresets(), state.story)) {
+    console.warn(`View state: unknown story "${state.story}" dropped`);
+    delete checked.story;
+  }
+  return checked;
+}
+
+// Applies a decoded link; returns false (changing nothing) if it names something unknown
+function applyViewState(linked) {
+  const state = checkViewState(linked);
+  if (!state) return false;
+
+  const year = Math.max(SCALE_BREAKPOINTS_EXPANDED[0].year, Math.min(YEAR_MAX, state.year));
+  // Years before the standard range need the expanded timeline whatever the link says
+  const mode = state.timeline === 'expanded' || year < SCALE_BREAKPOINTS_STANDARD[0].year ? 'expanded' : 'standard';
+  if (mode !== timelineMode) setTimelineMode(mode);
+
+  if (state.origin) {
+    currentOriginKey = state.origin;
+    document.querySelector(`input[name="origin"][value="${CSS.escape(state.origin)}"]`).checked = true;
+    applyOrigin();
+  }
+
+  if (state.snapMode) document.querySelector(`input[name="snapMode"][value="${CSS.escape(state.snapMode)}"]`).checked = true;
+  if (state.customLock) {
+    customLock = { ...customLock, ...state.customLock };
+    syncLockBuilder();
+  }
+  if (Number.isFinite(state.heliacalStar)) {
+    const star = starsData.find(s => s.id === state.heliacalStar);
+    if (star) {
+      heliacalStar = star;
+      if (heliacalStarSelect) heliacalStarSelect.value = String(star.id);
+    }
+  }
+
+  yearInput.value = String(year);
+  yearSlider.value = String(yearToSlider(year));
+
+  if (state.shaft) setActiveShaft(state.shaft);
+  if (Number.isFinite(state.target)) setTargetStar(`HIP ${state.target}`);
+
+  // Locked modes recompute day and time from the year; 'none' keeps the linked ones
+  if (Number.isFinite(state.doy)) doySlider.value = String(state.doy);
+  if (Number.isFinite(state.time)) timeSlider.value = state.time.toFixed(2);
+  applySnapMode();
+
+  if (state.camera) {
+    camera.position.set(...state.camera.position);
+    controls.target.set(...state.camera.target);
+    controls.update();
+  }
+
+  if (state.story) showStory(state.story);
+  else clearPresetHighlights();
+
+  console.log('=== VIEW STATE APPLIED ===');
+  console.log('state =', state);
+  return true;
+}
+
+// A link pasted into an open tab only changes the hash; our own updates use replaceState
+window.addEventListener('hashchange', () => {
+  const state = decodeViewState(location.hash);
+  if (state && startupViewApplied) applyViewState(state);
+});
+
 // -----------------------------
 // Timeline Mode Toggle (Standard / Expanded)
 // -----------------------------
@@ -2344,7 +4489,11 @@ function setTimelineMode(mode) {
   // Refresh timeline visualizations
   renderTickScale();
   renderDynastyTrack();
+  renderAgeTrack();
   renderPresetMarkers();
+  renderAlignmentBands();
+  updateHeliacalPanel(clampedYear);
+  drawErrorChart();
 
   // Trigger sky update
   pendingSkyUpdate = true;
@@ -2362,14 +4511,25 @@ document.getElementById('btnTimelineMode').addEventListener('click', () => {
 setDefaults();
 renderTickScale();
 renderDynastyTrack();
+renderAgeTrack();
 applyOrigin();
 applySnapMode();  // Initialize lock state based on default snap mode
+
+// Offline support: cache the app shell, catalogs and Three.js for kiosk/field use
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js')
+    .catch(err => console.warn('Service worker registration failed:', err));
+}
+
+await settingsLoaded;  // settings may point the sky catalog at a local path
 try {
   await loadSkyData();
 } catch (err) {
   console.error(err);
   statusEl.textContent = `Sky load error: ${err.message}`;
 }
+skyLoadSettled = true;
+applyDefaultPreset();
 
 // -----------------------------
 // Mobile detection and handling
@@ -2385,8 +4545,8 @@ function initMobileMode() {
   document.body.classList.add('fullscreen-mode');
   document.body.classList.add('mobile-mode');
 
-  // Hide the blue error arc in 3D view
-  if (errorArc) errorArc.visible = false;
+  // Hide the blue error arcs in 3D view
+  for (const shaft of Object.values(SHAFTS)) shaft.errorArc.visible = false;
 
   // Wait for presets to load, then apply khufu preset
   function applyMobilePreset() {
@@ -2415,6 +4575,11 @@ function animate() {
   requestAnimationFrame(animate);
   controls.update();
 
+  // Guided tour camera/year tween, then time playback
+  const now = performance.now();
+  updateTour(now);
+  updatePlayback(now);
+
   // Animate Sphinx sight line dashes (move toward sky sphere)
   if (sphinxSightLine.visible) {
     sphinxSightMat.dashOffset -= 0.5;
@@ -2425,6 +4590,7 @@ function animate() {
     updateTimeLabels();
     const { jd, epj } = getSelectedJDandEPJ();
     updateSkyForJD(jd, epj);
+    scheduleHashUpdate();
   }
 
   renderer.autoClear = false;
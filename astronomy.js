@@ -0,0 +1,795 @@
+// -----------------------------
+// Astronomy engine (pure math, no rendering or DOM access)
+// Time scales, sidereal time, long-term precession, horizontal coordinates
+// and a low-precision Sun. Importable from both the browser and Node.
+// -----------------------------
+
+export const deg2rad = (d) => d * Math.PI / 180.0;
+export const rad2deg = (r) => r * 180.0 / Math.PI;
+
+export function mod(a, n) { return ((a % n) + n) % n; }
+
+// -----------------------------
+// Julian Date + sidereal time
+// -----------------------------
+export function julianDateFromUTC(date) {
+  // date is a JS Date in UTC (we use Date.UTC for construction)
+  return (date.getTime() / 86400000.0) + 2440587.5;
+}
+
+export function julianEpochFromJD(jd) {
+  // Julian epoch (e.g. 2000.0 for J2000) used by the precession model
+  return 2000.0 + (jd - 2451545.0) / 365.25;
+}
+
+// -----------------------------
+// ΔT = TT − UT (seconds)
+// Earth rotation (sidereal time) runs on UT; precession and the solar theory run on TT.
+// Functions below take UT Julian Dates and convert with the selected ΔT model.
+// -----------------------------
+export const DELTA_T_MODELS = {
+  'espenak-meeus': { label: 'Espenak–Meeus 2006' },
+  'ms2004':        { label: 'Morrison–Stephenson 2004' },
+  'smh2016':       { label: 'Long-term parabola (SMH 2016)' },
+  'none':          { label: 'None (TT = UT)' },
+};
+let deltaTModel = 'espenak-meeus';
+
+export function setDeltaTModel(key) {
+  if (!DELTA_T_MODELS[key]) throw new Error(`Unknown ΔT model: ${key}`);
+  deltaTModel = key;
+}
+export function getDeltaTModel() { return deltaTModel; }
+
+export function decimalYearFromJD(jd) {
+  return 2000.0 + (jd - 2451544.5) / 365.2425;
+}
+
+function deltaTEspenakMeeus(y) {
+  // Polynomial expressions of Espenak & Meeus (2006), NASA Five Millennium Canon
+  let u, t;
+  if (y < -500) {
+    u = (y - 1820) / 100;
+    return -20 + 32*u*u;
+  }
+  if (y < 500) {
+    u = y / 100;
+    return 10583.6 - 1014.41*u + 33.78311*u**2 - 5.952053*u**3
+      - 0.1798452*u**4 + 0.022174192*u**5 + 0.0090316521*u**6;
+  }
+  if (y < 1600) {
+    u = (y - 1000) / 100;
+    return 1574.2 - 556.01*u + 71.23472*u**2 + 0.319781*u**3
+      - 0.8503463*u**4 - 0.005050998*u**5 + 0.0083572073*u**6;
+  }
+  if (y < 1700) {
+    t = y - 1600;
+    return 120 - 0.9808*t - 0.01532*t**2 + t**3/7129;
+  }
+  if (y < 1800) {
+    t = y - 1700;
+    return 8.83 + 0.1603*t - 0.0059285*t**2 + 0.00013336*t**3 - t**4/1174000;
+  }
+  if (y < 1860) {
+    t = y - 1800;
+    return 13.72 - 0.332447*t + 0.0068612*t**2 + 0.0041116*t**3 - 0.00037436*t**4
+      + 0.0000121272*t**5 - 0.0000001699*t**6 + 0.000000000875*t**7;
+  }
+  if (y < 1900) {
+    t = y - 1860;
+    return 7.62 + 0.5737*t - 0.251754*t**2 + 0.01680668*t**3 - 0.0004473624*t**4 + t**5/233174;
+  }
+  if (y < 1920) {
+    t = y - 1900;
+    return -2.79 + 1.494119*t - 0.0598939*t**2 + 0.0061966*t**3 - 0.000197*t**4;
+  }
+  if (y < 1941) {
+    t = y - 1920;
+    return 21.20 + 0.84493*t - 0.076100*t**2 + 0.0020936*t**3;
+  }
+  if (y < 1961) {
+    t = y - 1950;
+    return 29.07 + 0.407*t - t**2/233 + t**3/2547;
+  }
+  if (y < 1986) {
+    t = y - 1975;
+    return 45.45 + 1.067*t - t**2/260 - t**3/718;
+  }
+  if (y < 2005) {
+    t = y - 2000;
+    return 63.86 + 0.3345*t - 0.060374*t**2 + 0.0017275*t**3 + 0.000651814*t**4 + 0.00002373599*t**5;
+  }
+  if (y < 2050) {
+    t = y - 2000;
+    return 62.92 + 0.32217*t + 0.005589*t**2;
+  }
+  u = (y - 1820) / 100;
+  if (y < 2150) return -20 + 32*u*u - 0.5628*(2150 - y);
+  return -20 + 32*u*u;
+}
+
+// Morrison & Stephenson (2004) ΔT from historical eclipses and occultations, seconds
+// at 100-year steps from -500 to 1600 (their Table 1, as tabulated by Espenak & Meeus)
+const MS2004_START = -500;
+const MS2004_STEP = 100;
+const MS2004_TABLE = [
+  17190, 15530, 14080, 12790, 11640, 10580, 9600, 8640, 7680, 6700, 5710,
+  4740, 3810, 2960, 2200, 1570, 1090, 740, 490, 320, 200, 120
+];
+const MS2004_END = MS2004_START + MS2004_STEP * (MS2004_TABLE.length - 1);
+
+// Cubic Hermite interpolation through the table (Catmull-Rom slopes, one-sided at the ends)
+function deltaTMS2004Table(y) {
+  const n = MS2004_TABLE.length;
+  const x = Math.min(n - 1, Math.max(0, (y - MS2004_START) / MS2004_STEP));
+  const i = Math.min(n - 2, Math.floor(x));
+  const t = x - i;
+  const p = (k) => MS2004_TABLE[Math.min(n - 1, Math.max(0, k))];
+  const slope = (k) => (k === 0 ? p(1) - p(0) : k === n - 1 ? p(n - 1) - p(n - 2) : (p(k + 1) - p(k - 1)) / 2);
+  const h00 = 2*t**3 - 3*t**2 + 1, h10 = t**3 - 2*t**2 + t, h01 = -2*t**3 + 3*t**2, h11 = t**3 - t**2;
+  return h00*p(i) + h10*slope(i) + h01*p(i + 1) + h11*slope(i + 1);
+}
+
+// Long-term parabolas: Morrison & Stephenson 2004, Stephenson, Morrison & Hohenkerk 2016
+function deltaTParabolaMS2004(y) {
+  const u = (y - 1820) / 100;
+  return -20 + 32*u*u;
+}
+function deltaTParabolaSMH2016(y) {
+  const u = (y - 1825) / 100;
+  return -320 + 32.5*u*u;
+}
+
+// Smooth hand-over from model a (before y0) to model b (after y1), so switching
+// models never makes ΔT (and every locked time) jump
+function blendDeltaT(y, y0, y1, a, b) {
+  if (y <= y0) return a(y);
+  if (y >= y1) return b(y);
+  const t = (y - y0) / (y1 - y0);
+  const w = t * t * (3 - 2 * t);
+  return (1 - w) * a(y) + w * b(y);
+}
+
+// Blend windows (years): the first table step for MS2004, the century either side of
+// 1600 for the SMH parabola, which runs ~275 s below the telescopic record there
+const MS2004_BLEND_YEARS = MS2004_STEP;
+const SMH2016_BLEND = [1500, 1700];
+
+// ΔT in seconds for a decimal year under the given model
+export function deltaTSeconds(year, model = deltaTModel) {
+  if (model === 'none') return 0;
+  if (model === 'ms2004') {
+    // Parabola before the table; Espenak–Meeus after it (both give 120 s at 1600)
+    if (year >= MS2004_END) return deltaTEspenakMeeus(year);
+    return blendDeltaT(year, MS2004_START, MS2004_START + MS2004_BLEND_YEARS, deltaTParabolaMS2004, deltaTMS2004Table);
+  }
+  if (model === 'smh2016') {
+    return blendDeltaT(year, SMH2016_BLEND[0], SMH2016_BLEND[1], deltaTParabolaSMH2016, deltaTEspenakMeeus);
+  }
+  return deltaTEspenakMeeus(year);
+}
+
+// 1σ uncertainty of ΔT in seconds (Morrison & Stephenson 2004 estimate for historical epochs)
+export function deltaTUncertaintySeconds(year) {
+  if (year >= 1955) return 0.1;
+  const u = (year - 1820) / 100;
+  return Math.max(0.1, 0.8*u*u);
+}
+
+export function deltaTForJD(jdUT, model = deltaTModel) {
+  return deltaTSeconds(decimalYearFromJD(jdUT), model);
+}
+
+export function jdTTFromUT(jdUT) {
+  return jdUT + deltaTForJD(jdUT) / 86400.0;
+}
+
+// Precession epoch (TT) for a UT Julian Date
+export function julianEpochFromUT(jdUT) {
+  return julianEpochFromJD(jdTTFromUT(jdUT));
+}
+
+export function gmstRadians(jd) {
+  // IAU 1982-ish expression; sufficient for visualization.
+  // jd is UT (Earth rotation); the slow polynomial terms use TT centuries.
+  const T = (jdTTFromUT(jd) - 2451545.0) / 36525.0;
+  let gmstDeg = 280.46061837
+    + 360.98564736629 * (jd - 2451545.0)
+    + 0.000387933 * T*T
+    - (T*T*T) / 38710000.0;
+  gmstDeg = ((gmstDeg % 360) + 360) % 360;
+  return deg2rad(gmstDeg);
+}
+
+// -----------------------------------------
+// Long-term precession (Vondrák et al. 2011 + erratum 2012)
+// Supports multi-millennial deep-time visualization (tens of millennia).
+// This computes a rotation from J2000 mean equator/equinox to the mean equator/equinox of epoch EPJ.
+// -----------------------------------------
+export const TAU = 6.283185307179586476925287;
+export const AS2R = 4.848136811095359935899141e-6;      // arcsec -> rad
+export const EPS0 = 84381.406 * AS2R;                    // J2000 obliquity (rad)
+
+export function vDot(a,b){ return a[0]*b[0] + a[1]*b[1] + a[2]*b[2]; }
+export function vCross(a,b){
+  return [
+    a[1]*b[2] - a[2]*b[1],
+    a[2]*b[0] - a[0]*b[2],
+    a[0]*b[1] - a[1]*b[0]
+  ];
+}
+export function vNorm(a){ return Math.sqrt(Math.max(vDot(a,a), 0)); }
+export function vUnit(a){
+  const n = vNorm(a);
+  if (n === 0) return [0,0,0];
+  return [a[0]/n, a[1]/n, a[2]/n];
+}
+export function matVec(rp, v){
+  // rp is 3x3 with ROW vectors; returns rp * v
+  return [
+    rp[0][0]*v[0] + rp[0][1]*v[1] + rp[0][2]*v[2],
+    rp[1][0]*v[0] + rp[1][1]*v[1] + rp[1][2]*v[2],
+    rp[2][0]*v[0] + rp[2][1]*v[1] + rp[2][2]*v[2],
+  ];
+}
+export function raDecToVec(ra, dec){
+  const cosd = Math.cos(dec);
+  return [cosd*Math.cos(ra), cosd*Math.sin(ra), Math.sin(dec)];
+}
+export function vecToRaDec(v){
+  const r = vNorm(v);
+  if (r === 0) return { ra: 0, dec: 0 };
+  const x = v[0]/r, y = v[1]/r, z = v[2]/r;
+  let ra = Math.atan2(y, x);
+  if (ra < 0) ra += TAU;
+  const dec = Math.asin(Math.max(-1, Math.min(1, z)));
+  return { ra, dec };
+}
+
+export function ltp_PECL(epj){
+  // Long-term precession of the ecliptic pole (returns vector in J2000 frame)
+  const pqpol = [
+    [ +5851.607687, -1600.886300 ],
+    [ -0.1189000,  +1.1689818   ],
+    [ -0.00028913, -0.00000020  ],
+    [ +0.000000101, -0.000000437],
+  ];
+
+  // Periodic terms: [period (centuries), Pc, Qc, Ps, Qs] in arcsec
+  const pqper = [
+    [ 708.15,  -5486.751211,  -684.661560,   667.666730,  -5523.863691 ],
+    [ 2309.00,   -17.127623,  2446.283880, -2354.886252,   -549.747450 ],
+    [ 1620.00,  -617.517403,   399.671049,  -428.152441,   -310.998056 ],
+    [ 492.20,    413.442940,  -356.652376,   376.202861,    421.535876 ],
+    [ 1183.00,    78.614193,  -186.387003,   184.778874,    -36.776172 ],
+    [ 622.00,   -180.732815,  -316.800070,   335.321713,   -145.278396 ],
+    [ 882.00,    -87.676083,   198.296701,  -185.138669,    -34.744450 ], // corrected per 2012 erratum
+    [ 547.00,     46.140315,   101.135679,  -120.972830,     22.885731 ],
+  ];
+
+  const T = (epj - 2000.0) / 100.0; // centuries since J2000
+  let P = 0.0, Q = 0.0;
+
+  for (let i = 0; i < pqper.length; i++){
+    const A = (TAU * T) / pqper[i][0];
+    const S = Math.sin(A), C = Math.cos(A);
+    P += C*pqper[i][1] + S*pqper[i][3];
+    Q += C*pqper[i][2] + S*pqper[i][4];
+  }
+
+  let W = 1.0;
+  for (let i = 0; i < pqpol.length; i++){
+    P += pqpol[i][0] * W;
+    Q += pqpol[i][1] * W;
+    W *= T;
+  }
+
+  P *= AS2R;
+  Q *= AS2R;
+
+  const Z = Math.sqrt(Math.max(1.0 - P*P - Q*Q, 0.0));
+  const S = Math.sin(EPS0);
+  const C = Math.cos(EPS0);
+
+  return [
+    P,
+    -Q*C - Z*S,
+    -Q*S + Z*C
+  ];
+}
+
+export function ltp_PEQU(epj){
+  // Long-term precession of the equator pole (returns vector in J2000 frame)
+  const xypol = [
+    [ +5453.282155, -73750.930350 ],
+    [ +0.4252841,   -0.7675452   ],
+    [ -0.00037173,  -0.00018725  ],
+    [ -0.000000152, +0.000000231 ],
+  ];
+
+  // Periodic terms: [period (centuries), Xc, Yc, Xs, Ys] in arcsec
+  const xyper = [
+    [ 256.75,  -819.940624,  75004.344875, 81491.287984,  1558.515853 ],
+    [ 708.15, -8444.676815,    624.033993,   787.163481,  7774.939698 ],
+    [ 274.20,  2600.009459,   1251.136893,  1251.296102, -2219.534038 ],
+    [ 241.45,  2755.175630,  -1102.212834, -1257.950837, -2523.969396 ],
+    [ 2309.00,  -167.659835,  -2660.664980, -2966.799730,  247.850422 ],
+    [ 492.20,    871.855056,    699.291817,   639.744522, -846.485643 ],
+    [ 396.10,     44.769698,    153.167220,   131.600209, -1393.124055 ],
+    [ 288.90,   -512.313065,   -950.865637,  -445.040117,  368.526116 ],
+    [ 231.10,   -819.415595,    499.754645,   584.522874,  749.045012 ],
+    [ 1610.00,  -538.071099,   -145.188210,   -89.756563,  444.704518 ],
+    [ 620.00,   -189.793622,    558.116553,   524.429630,  235.934465 ],
+    [ 157.87,   -402.922932,    -23.923029,   -13.549067,  374.049623 ],
+    [ 220.30,    179.516345,   -165.405086,  -210.157124, -171.330180 ],
+    [ 1200.00,    -9.814756,      9.344131,   -44.919798,  -22.899655 ],
+  ];
+
+  const T = (epj - 2000.0) / 100.0;
+  let X = 0.0, Y = 0.0;
+
+  for (let i = 0; i < xyper.length; i++){
+    const A = (TAU * T) / xyper[i][0];
+    const S = Math.sin(A), C = Math.cos(A);
+    X += C*xyper[i][1] + S*xyper[i][3];
+    Y += C*xyper[i][2] + S*xyper[i][4];
+  }
+
+  let W = 1.0;
+  for (let i = 0; i < xypol.length; i++){
+    X += xypol[i][0] * W;
+    Y += xypol[i][1] * W;
+    W *= T;
+  }
+
+  X *= AS2R;
+  Y *= AS2R;
+
+  const Wxy = X*X + Y*Y;
+  const Z = (Wxy < 1.0) ? Math.sqrt(1.0 - Wxy) : 0.0;
+  return [ X, Y, Z ];
+}
+
+export function ltp_PMAT(epj){
+  // Long-term precession matrix: J2000 -> mean equator/equinox of date EPJ.
+  const peqr = ltp_PEQU(epj);          // equator pole (row 3)
+  const pecl = ltp_PECL(epj);          // ecliptic pole
+  const eqx  = vUnit(vCross(peqr, pecl));     // equinox direction (row 1)
+  const yrow = vCross(peqr, eqx);             // row 2
+
+  return [ eqx, yrow, peqr ];
+}
+
+export function equatorialJ2000ToHorizontalUnit(raJ2000, decJ2000, jd, latRad, lonRad, rp){
+  // Precess J2000 direction into date frame, then compute horizontal direction for the observer.
+  const v0 = raDecToVec(raJ2000, decJ2000);
+  const vD = matVec(rp, v0);
+  const { ra, dec } = vecToRaDec(vD);
+  return equatorialToHorizontalUnit(ra, dec, jd, latRad, lonRad);
+}
+
+export function equatorialToHorizontalUnit(raRad, decRad, jd, latRad, lonRad) {
+  // lonRad: east-positive
+  const lst = gmstRadians(jd) + lonRad;
+  const H = lst - raRad; // hour angle
+
+  const sinDec = Math.sin(decRad), cosDec = Math.cos(decRad);
+  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
+
+  const sinAlt = sinDec*sinLat + cosDec*cosLat*Math.cos(H);
+  const alt = Math.asin(sinAlt);
+
+  // Azimuth measured from North towards East
+  const cosAlt = Math.cos(alt);
+  const sinAz = -cosDec * Math.sin(H) / Math.max(1e-12, cosAlt);
+  const cosAz = (sinDec - sinAlt*sinLat) / Math.max(1e-12, (cosAlt*cosLat));
+  let az = Math.atan2(sinAz, cosAz);
+  if (az < 0) az += Math.PI * 2;
+
+  // Apparent altitude when atmospheric refraction is enabled
+  const altApp = apparentAltitude(alt);
+  const cosApp = Math.cos(altApp);
+
+  // Convert to local ENU -> our world axes (X=E, Y=N, Z=Up)
+  const x = cosApp * Math.sin(az);
+  const y = cosApp * Math.cos(az);
+  const z = Math.sin(altApp);
+  return { x, y, z };
+}
+
+// -----------------------------
+// Atmosphere: refraction + extinction (both off by default)
+// -----------------------------
+const atmosphere = {
+  refraction: false,
+  extinction: false,
+  temperatureC: 20,    // ambient temperature
+  pressureHPa: 1010,   // station pressure
+  extinctionK: 0.2,    // visual extinction coefficient (mag per airmass)
+};
+
+// Physical bounds: refractionScale divides by 273 + T, so temperature stays within the
+// range of surface air (record lows to record highs); pressure and k can't go negative
+const ATMOSPHERE_TEMPERATURE_RANGE_C = [-90, 60];
+
+export function setAtmosphere(opts) {
+  const prev = { ...atmosphere };
+  Object.assign(atmosphere, opts);
+  const [tMin, tMax] = ATMOSPHERE_TEMPERATURE_RANGE_C;
+  const finite = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+  atmosphere.temperatureC = Math.min(tMax, Math.max(tMin, finite(atmosphere.temperatureC, prev.temperatureC)));
+  atmosphere.pressureHPa = Math.max(0, finite(atmosphere.pressureHPa, prev.pressureHPa));
+  atmosphere.extinctionK = Math.max(0, finite(atmosphere.extinctionK, prev.extinctionK));
+}
+export function getAtmosphere() { return { ...atmosphere }; }
+
+function refractionScale(tempC, pressureHPa) {
+  // Meeus ch. 16 correction for non-standard temperature and pressure
+  return (pressureHPa / 1010) * (283 / (273 + tempC));
+}
+
+// Below the horizon the formulas blow up; fade the correction to zero between -1° and -4°
+function refractionTaper(altDeg) {
+  if (altDeg >= -1) return 1;
+  return Math.max(0, (altDeg + 4) / 3);
+}
+
+// Saemundsson (1986): refraction (rad) from TRUE (geometric) altitude
+export function refractionSaemundsson(altTrueRad, tempC = atmosphere.temperatureC, pressureHPa = atmosphere.pressureHPa) {
+  const h = Math.max(rad2deg(altTrueRad), -1);
+  const Rarcmin = 1.02 / Math.tan(deg2rad(h + 10.3 / (h + 5.11)));
+  return deg2rad(Rarcmin / 60) * refractionScale(tempC, pressureHPa) * refractionTaper(rad2deg(altTrueRad));
+}
+
+// Bennett (1982): refraction (rad) from APPARENT (observed) altitude
+export function refractionBennett(altAppRad, tempC = atmosphere.temperatureC, pressureHPa = atmosphere.pressureHPa) {
+  const h = Math.max(rad2deg(altAppRad), -1);
+  const Rarcmin = 1.0 / Math.tan(deg2rad(h + 7.31 / (h + 4.4)));
+  return deg2rad(Rarcmin / 60) * refractionScale(tempC, pressureHPa) * refractionTaper(rad2deg(altAppRad));
+}
+
+// Geometric -> apparent altitude (identity when refraction is disabled)
+export function apparentAltitude(altTrueRad) {
+  if (!atmosphere.refraction) return altTrueRad;
+  return altTrueRad + refractionSaemundsson(altTrueRad);
+}
+
+// Apparent -> geometric altitude, e.g. to turn an observed horizon altitude into a target
+export function trueAltitude(altAppRad) {
+  if (!atmosphere.refraction) return altAppRad;
+  return altAppRad - refractionBennett(altAppRad);
+}
+
+// Relative air mass, Kasten & Young (1989); apparent altitude, clamped at the horizon
+export function airmass(altRad) {
+  const h = Math.max(rad2deg(altRad), 0);
+  return 1.0 / (Math.sin(deg2rad(h)) + 0.50572 * Math.pow(h + 6.07995, -1.6364));
+}
+
+// Magnitudes of dimming at the given altitude (0 when extinction is disabled)
+export function extinctionMagnitudes(altRad, k = atmosphere.extinctionK) {
+  if (!atmosphere.extinction) return 0;
+  return k * airmass(altRad);
+}
+
+// -----------------------------
+// Stellar space motion (proper motion + parallax + radial velocity)
+// Rigorous linear space motion: the star moves in a straight line at constant
+// velocity in the barycentric frame, so over tens of millennia both the
+// direction and the rate of its apparent motion change (perspective acceleration).
+// -----------------------------
+export const STAR_CATALOG_EPOCH = 2000.0;          // epoch of the catalog positions (Julian years)
+const MAS2R = AS2R / 1000.0;                       // milliarcsec -> rad
+const KMS_PER_PC_PER_YR = 977792.2;                // 1 pc/yr in km/s
+const DISTANT_STAR_PC = 1.0e6;                     // stand-in distance when parallax is unknown
+
+export function hasSpaceMotion(star) {
+  return !!(star && (star.pmRA || star.pmDec || (star.rv && star.plx > 0)));
+}
+
+// star: { raRad, decRad, pmRA, pmDec (mas/yr, pmRA includes cos δ), plx (mas), rv (km/s) }
+// Returns the J2000-frame direction of the star at Julian epoch epj.
+export function starRaDecAtEpoch(star, epj) {
+  if (!hasSpaceMotion(star)) return { ra: star.raRad, dec: star.decRad };
+
+  const dt = epj - STAR_CATALOG_EPOCH;
+  const sa = Math.sin(star.raRad), ca = Math.cos(star.raRad);
+  const sd = Math.sin(star.decRad), cd = Math.cos(star.decRad);
+
+  // Distance (pc); without a parallax only the angular proper motion applies
+  const dist = star.plx > 0 ? 1000.0 / star.plx : DISTANT_STAR_PC;
+  const muA = (star.pmRA || 0) * MAS2R;   // rad/yr
+  const muD = (star.pmDec || 0) * MAS2R;  // rad/yr
+  const vr = star.plx > 0 ? (star.rv || 0) / KMS_PER_PC_PER_YR : 0;  // pc/yr
+
+  // Unit vectors: radial p, toward increasing RA (eA), toward increasing Dec (eD)
+  const p  = [cd*ca, cd*sa, sd];
+  const eA = [-sa, ca, 0];
+  const eD = [-sd*ca, -sd*sa, cd];
+
+  const pos = [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    const v = dist * (muA*eA[i] + muD*eD[i]) + vr*p[i];  // pc/yr
+    pos[i] = dist*p[i] + v*dt;
+  }
+  return vecToRaDec(pos);
+}
+
+// -----------------------------
+// Calendar (proleptic Gregorian, astronomical year numbering)
+// -----------------------------
+export function isLeapYear(y) {
+  // Proleptic Gregorian leap rule, extended to negative years.
+  const y400 = mod(y, 400);
+  const y100 = mod(y, 100);
+  const y4   = mod(y, 4);
+  return (y4 === 0) && (y100 !== 0 || y400 === 0);
+}
+
+export function monthDayFromDOY(y, doy) {
+  const leap = isLeapYear(y);
+  const ml = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  let m = 1;
+  let d = doy;
+  for (let i = 0; i < 12; i++) {
+    if (d > ml[i]) { d -= ml[i]; m++; } else break;
+  }
+  // clamp
+  if (m < 1) m = 1;
+  if (m > 12) m = 12;
+  if (d < 1) d = 1;
+  if (d > ml[m-1]) d = ml[m-1];
+  return { m, d };
+}
+
+export function doyFromMonthDay(y, m, d) {
+  const leap = isLeapYear(y);
+  const ml = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  let doy = 0;
+  for (let i = 0; i < m-1; i++) doy += ml[i];
+  return doy + d;
+}
+
+export function julianDayFromYMDHMS(y, m, d, hh, mm, ss) {
+  // Proleptic Gregorian calendar, valid for negative years in astronomical numbering.
+  // Algorithm follows the standard Fliegel–Van Flandern / Meeus-style JD construction.
+  let Y = y;
+  let M = m;
+  if (M <= 2) { Y -= 1; M += 12; }
+  const A = Math.floor(Y / 100);
+  const B = 2 - A + Math.floor(A / 4);
+  const dayFrac = (hh + (mm + ss / 60) / 60) / 24;
+  const JD = Math.floor(365.25 * (Y + 4716))
+           + Math.floor(30.6001 * (M + 1))
+           + d + B - 1524.5 + dayFrac;
+  return JD;
+}
+
+// -----------------------------
+// Calendars: proleptic Gregorian, Julian, Egyptian civil (365-day wandering year)
+// All conversions go through the JD, so the instant is the same in every calendar.
+// -----------------------------
+export const CALENDARS = {
+  gregorian: { label: "Gregorian" },
+  julian:    { label: "Julian" },
+  egyptian:  { label: "Egyptian civil" }
+};
+
+// Egyptian civil calendar: 12 months of 30 days in three seasons + 5 epagomenal days.
+// Years are counted in the Era of Nabonassar (1 Thoth, year 1 = 26 Feb 747 BC Julian).
+export const EGYPTIAN_EPOCH_JD = 1448637.5;  // 0h UT on 1 Thoth, Nabonassar year 1
+export const EGYPTIAN_SEASONS = ['Akhet', 'Peret', 'Shemu'];
+export const EGYPTIAN_MONTH_NAMES = ['Thoth', 'Phaophi', 'Hathyr', 'Choiak', 'Tybi', 'Mechir',
+                                     'Phamenoth', 'Pharmuthi', 'Pachons', 'Payni', 'Epiphi', 'Mesore'];
+
+// Number of days in month m of year y in the chosen calendar, or 0 if there is no such
+// month. Julian leap years are every 4th (astronomical numbering, so 1 BC = year 0 is
+// leap); Egyptian months are 30 days and month 13 is the 5 epagomenal days.
+export function daysInMonth(calendar, y, m) {
+  if (!Number.isInteger(m) || m < 1 || m > (calendar === 'egyptian' ? 13 : 12)) return 0;
+  if (calendar === 'egyptian') return m === 13 ? 5 : 30;
+  if (m !== 2) return [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][m - 1];
+  const leap = calendar === 'julian' ? mod(y, 4) === 0 : isLeapYear(y);
+  return leap ? 29 : 28;
+}
+
+// Julian-calendar date -> JD (0h UT + fraction of day); astronomical year numbering
+export function julianDayFromJulianCalendar(y, m, d, hh = 0, mm = 0, ss = 0) {
+  let Y = y;
+  let M = m;
+  if (M <= 2) { Y -= 1; M += 12; }
+  const dayFrac = (hh + (mm + ss / 60) / 60) / 24;
+  return Math.floor(365.25 * (Y + 4716)) + Math.floor(30.6001 * (M + 1)) + d - 1524.5 + dayFrac;
+}
+
+// JD -> { y, m, d } in the Gregorian or Julian calendar (d is the integer day; time is dropped).
+// Meeus' inverse only holds for JD >= 0, so deep-time dates are shifted by whole calendar cycles.
+function civilDateFromJD(jd, gregorian) {
+  const cycleDays = gregorian ? 146097 : 1461;
+  const cycleYears = gregorian ? 400 : 4;
+  let Z = Math.floor(jd + 0.5);
+  let shift = 0;
+  if (Z < 0) {
+    shift = Math.ceil(-Z / cycleDays) + 1;
+    Z += shift * cycleDays;
+  }
+  let A = Z;
+  if (gregorian) {
+    const alpha = Math.floor((Z - 1867216.25) / 36524.25);
+    A = Z + 1 + alpha - Math.floor(alpha / 4);
+  }
+  const B = A + 1524;
+  const C = Math.floor((B - 122.1) / 365.25);
+  const D = Math.floor(365.25 * C);
+  const E = Math.floor((B - D) / 30.6001);
+  const d = B - D - Math.floor(30.6001 * E);
+  const m = E < 14 ? E - 1 : E - 13;
+  const y = (m > 2 ? C - 4716 : C - 4715) - shift * cycleYears;
+  return { y, m, d };
+}
+
+// JD -> { y, m, d } in the chosen calendar. Egyptian: y = Nabonassar year, m = 1..12, or 13 for the epagomenal days
+export function calendarDateFromJD(jd, calendar = 'gregorian') {
+  if (calendar === 'egyptian') {
+    const n = Math.floor(jd - EGYPTIAN_EPOCH_JD);
+    const y = Math.floor(n / 365) + 1;
+    const r = mod(n, 365);
+    return { y, m: Math.floor(r / 30) + 1, d: (r % 30) + 1 };
+  }
+  return civilDateFromJD(jd, calendar !== 'julian');
+}
+
+// Calendar date -> JD at 0h UT
+export function julianDayFromCalendarDate(calendar, y, m, d) {
+  if (calendar === 'egyptian') return EGYPTIAN_EPOCH_JD + (y - 1) * 365 + (m - 1) * 30 + (d - 1);
+  if (calendar === 'julian') return julianDayFromJulianCalendar(y, m, d);
+  return julianDayFromYMDHMS(y, m, d, 0, 0, 0);
+}
+
+// -----------------------------
+// Horizontal <-> equatorial
+// -----------------------------
+export function azAltFromRaDec(raRad, decRad, jd, latRad, lonRad) {
+  const lst = gmstRadians(jd) + lonRad;
+  const H = lst - raRad;
+
+  const sinDec = Math.sin(decRad), cosDec = Math.cos(decRad);
+  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
+
+  const sinAlt = sinDec*sinLat + cosDec*cosLat*Math.cos(H);
+  const alt = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+
+  const cosAlt = Math.cos(alt);
+  const sinAz = -cosDec * Math.sin(H) / Math.max(1e-12, cosAlt);
+  const cosAz = (sinDec - sinAlt*sinLat) / Math.max(1e-12, (cosAlt*cosLat));
+  let az = Math.atan2(sinAz, cosAz);
+  if (az < 0) az += Math.PI * 2;
+
+  return { az, alt: apparentAltitude(alt) };
+}
+
+// Inverse of azAltFromRaDec: apparent azimuth/altitude -> RA/Dec of date
+export function raDecFromAzAlt(azRad, altRad, jd, latRad, lonRad) {
+  const alt = trueAltitude(altRad);
+  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
+  const sinAlt = Math.sin(alt), cosAlt = Math.cos(alt);
+
+  const sinDec = sinAlt*sinLat + cosAlt*cosLat*Math.cos(azRad);
+  const dec = Math.asin(Math.max(-1, Math.min(1, sinDec)));
+  const H = Math.atan2(-Math.sin(azRad) * cosAlt, sinAlt*cosLat - cosAlt*sinLat*Math.cos(azRad));
+  const ra = mod(gmstRadians(jd) + lonRad - H, TAU);
+
+  return { ra, dec };
+}
+
+// -----------------------------
+// Transits
+// -----------------------------
+// Calculate exact transit time (hours from midnight) for a star on a given day
+export function getExactTransitTime(jd0, raRad, lonRad) {
+  // Transit occurs when LST = RA
+  // LST = GMST + longitude
+  // GMST increases at ~360.9856°/day = 15.041°/hour in sidereal rate
+
+  const gmst0 = gmstRadians(jd0);  // GMST at start of day (midnight)
+  const lst0 = gmst0 + lonRad;     // LST at midnight
+
+  // Hour angle at midnight (how far past transit we are)
+  let hourAngle = lst0 - raRad;
+  // Normalize to [-π, π]
+  hourAngle = ((hourAngle + Math.PI) % (2 * Math.PI)) - Math.PI;
+  if (hourAngle < -Math.PI) hourAngle += 2 * Math.PI;
+
+  // Sidereal rate: 360.98564736629 deg/day = 15.04106864... deg/hour
+  const siderealRateRadPerHour = deg2rad(360.98564736629 / 24);
+
+  // Time until transit (negative hour angle means transit is in the future)
+  let transitHours = -hourAngle / siderealRateRadPerHour;
+
+  // Normalize to [0, 1 sidereal day): a transit that already happened recurs one
+  // sidereal day (~23.93 h) later, not 24 h later
+  const siderealDayHours = 2 * Math.PI / siderealRateRadPerHour;
+  transitHours = ((transitHours % siderealDayHours) + siderealDayHours) % siderealDayHours;
+
+  return transitHours;
+}
+
+// -----------------------------
+// Star events (rising, setting, culminations, altitude/azimuth crossings)
+// -----------------------------
+export const STAR_EVENTS = {
+  rise:       { label: "Rising" },
+  set:        { label: "Setting" },
+  upper:      { label: "Upper culmination" },
+  lower:      { label: "Lower culmination" },
+  altitude:   { label: "Altitude crossing (ascending)", needsValue: true },
+  azimuth:    { label: "Azimuth crossing", needsValue: true }
+};
+
+// Hour angle (rad, west-positive, in (-π, π]) at which a star of date (ra/dec) has the event.
+// valueRad: true altitude for 'altitude' (also the horizon altitude for rise/set), azimuth
+// from North towards East for 'azimuth'. Returns null if the star never reaches it.
+export function starEventHourAngle(decRad, latRad, event, valueRad = 0) {
+  const sinLat = Math.sin(latRad), cosLat = Math.cos(latRad);
+  const sinDec = Math.sin(decRad), cosDec = Math.cos(decRad);
+
+  switch (event) {
+    case 'upper': return 0;
+    case 'lower': return Math.PI;
+    case 'rise':
+    case 'set':
+    case 'altitude': {
+      const cosH = (Math.sin(valueRad) - sinLat * sinDec) / (cosLat * cosDec);
+      if (cosH < -1 || cosH > 1) return null;
+      const H = Math.acos(cosH);
+      return event === 'set' ? H : -H;  // rising side is east of the meridian
+    }
+    case 'azimuth': {
+      // Azimuth from South (Meeus): tan A = sin H / (cos H sinφ − tan δ cosφ)
+      // -> a·sin H + b·cos H = c, solved in closed form; keep the root whose azimuth matches
+      const As = valueRad - Math.PI;
+      const a = Math.cos(As), b = -Math.sin(As) * sinLat, c = -Math.sin(As) * (sinDec / cosDec) * cosLat;
+      const R = Math.hypot(a, b);
+      if (R < 1e-12 || Math.abs(c) > R) return null;
+      const psi = Math.atan2(b, a);
+      const base = Math.asin(c / R);
+      let best = null;
+      for (const H of [base - psi, Math.PI - base - psi]) {
+        const sinAz = -cosDec * Math.sin(H);
+        const cosAz = sinDec * cosLat - cosDec * Math.cos(H) * sinLat;
+        const az = Math.atan2(sinAz, cosAz);
+        const d = Math.abs(Math.atan2(Math.sin(az - valueRad), Math.cos(az - valueRad)));
+        if (d > 1e-6) continue;
+        const alt = Math.asin(sinDec * sinLat + cosDec * cosLat * Math.cos(H));
+        // Prefer the crossing above the horizon
+        if (!best || alt > best.alt) best = { H: mod(H + Math.PI, TAU) - Math.PI, alt };
+      }
+      return best ? best.H : null;
+    }
+    default:
+      throw new Error(`Unknown star event: ${event}`);
+  }
+}
+
+// Azimuth (rad, from North through East) where a star of date crosses true altitude altRad
+// while rising ('rise') or setting ('set'); null if it never crosses that altitude
+export function horizonCrossingAzimuth(decRad, latRad, event, altRad = 0) {
+  const cosA = (Math.sin(decRad) - Math.sin(latRad) * Math.sin(altRad)) / (Math.cos(latRad) * Math.cos(altRad));
+  if (cosA < -1 || cosA > 1) return null;
+  const A = Math.acos(cosA);
+  return event === 'set' ? TAU - A : A;
+}
+
+// UT hours in [0, 24) on the day starting at jd0 (0h UT) when a star of date has the event,
+// built on the analytic transit time; null if the event does not occur.
+export function getStarEventTime(jd0, raRad, decRad, latRad, lonRad, event, valueRad = 0) {
+  const H = starEventHourAngle(decRad, latRad, event, valueRad);
+  if (H === null) return null;
+  const siderealRateRadPerHour = deg2rad(360.98564736629 / 24);
+  const siderealDayHours = TAU / siderealRateRadPerHour;
+  let t = getExactTransitTime(jd0, raRad, lonRad) + H / siderealRateRadPerHour;
+  // Step by whole sidereal days (not 24 h) so the event stays on the same star clock
+  while (t < 0) t += siderealDayHours;
+  while (t >= siderealDayHours) t -= siderealDayHours;
+  return t;
+}
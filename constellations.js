@@ -0,0 +1,154 @@
+// -----------------------------
+// IAU constellation boundaries (pure math, no rendering)
+//
+// The boundaries (Delporte 1930) run along lines of constant right ascension
+// and declination of the B1875.0 equator. d3-celestial ships the corners
+// precessed to J2000; they are precessed back here so that point-in-
+// constellation tests are exact axis-aligned polygon tests in the B1875 frame
+// (Roman 1987). Any position - J2000 or mean of date - is rotated into that
+// frame before testing, which is the same as precessing the boundaries to the
+// chosen epoch.
+// -----------------------------
+import {
+  deg2rad, rad2deg, mod,
+  raDecToVec, vecToRaDec, matVec, ltp_PMAT
+} from './astronomy.js';
+import { obliquityOfDate } from './planets.js';
+
+// B1875.0 = JD 2405889.25855 as a Julian epoch
+const BOUNDARY_EPOCH = 2000.0 + (2405889.25855 - 2451545.0) / 365.25;
+const P1875 = ltp_PMAT(BOUNDARY_EPOCH);  // J2000 -> B1875
+
+function transpose(m) {
+  return [
+    [m[0][0], m[1][0], m[2][0]],
+    [m[0][1], m[1][1], m[2][1]],
+    [m[0][2], m[1][2], m[2][2]]
+  ];
+}
+
+// Ring of [raDeg, decDeg] (B1875) with RA unwrapped so it runs continuously;
+// rings around a celestial pole are closed through the pole
+function prepareRing(ring) {
+  const out = [];
+  for (const [ra, dec] of ring) {
+    const prev = out.length ? out[out.length - 1][0] : ra;
+    out.push([prev + mod(ra - prev + 180, 360) - 180, dec]);
+  }
+  const first = out[0];
+  const last = out[out.length - 1];
+  const closing = last[0] + mod(first[0] - last[0] + 180, 360) - 180;
+  if (Math.abs(closing - first[0]) > 180) {
+    const poleDec = out.reduce((sum, p) => sum + p[1], 0) > 0 ? 90 : -90;
+    out.push([closing, first[1]], [closing, poleDec], [first[0], poleDec]);
+  }
+  return out;
+}
+
+// Parse d3-celestial constellations.bounds.json (GeoJSON polygons, J2000 degrees)
+// -> [{ id, rings: [[[raDeg, decDeg] B1875 ...], holes...] }]
+export function parseConstellationBounds(data) {
+  const bounds = [];
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) return bounds;
+  for (const f of data.features) {
+    const g = f && f.geometry;
+    if (!g) continue;
+    const polys = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+    for (const poly of polys) {
+      const rings = poly.map(ring => prepareRing(ring.map(([lon, lat]) => {
+        const { ra, dec } = vecToRaDec(matVec(P1875, raDecToVec(deg2rad(mod(lon, 360)), deg2rad(lat))));
+        return [rad2deg(ra), rad2deg(dec)];
+      })));
+      bounds.push({ id: f.id, rings });
+    }
+  }
+  return bounds;
+}
+
+// Even-odd ray cast along +RA; the point is tried at every 360° shift the ring spans
+function ringContains(ring, ra, dec) {
+  let lo = Infinity, hi = -Infinity;
+  for (const p of ring) { lo = Math.min(lo, p[0]); hi = Math.max(hi, p[0]); }
+  for (let r = lo + mod(ra - lo, 360); r <= hi; r += 360) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > dec) !== (yj > dec) && r < xj + (dec - yj) / (yi - yj) * (xi - xj)) inside = !inside;
+    }
+    if (inside) return true;
+  }
+  return false;
+}
+
+function constellationAtB1875(bounds, raDeg, decDeg) {
+  for (const b of bounds) {
+    if (!ringContains(b.rings[0], raDeg, decDeg)) continue;
+    if (b.rings.slice(1).some(hole => ringContains(hole, raDeg, decDeg))) continue;
+    return b.id;
+  }
+  return null;
+}
+
+// IAU abbreviation of the constellation containing a J2000 position (radians), or null
+export function constellationAtJ2000(bounds, raRad, decRad) {
+  const { ra, dec } = vecToRaDec(matVec(P1875, raDecToVec(raRad, decRad)));
+  return constellationAtB1875(bounds, rad2deg(ra), rad2deg(dec));
+}
+
+// Same for a position referred to the mean equator/equinox of Julian epoch epj
+export function constellationOfDate(bounds, raRad, decRad, epj) {
+  const vJ2000 = matVec(transpose(ltp_PMAT(epj)), raDecToVec(raRad, decRad));
+  const { ra, dec } = vecToRaDec(matVec(P1875, vJ2000));
+  return constellationAtB1875(bounds, rad2deg(ra), rad2deg(dec));
+}
+
+// Constellation on the ecliptic of date at longitude lambda (rad): where the Sun is
+// when its longitude of date is lambda (0 = March equinox, 90° = June solstice, ...)
+export function constellationAtEclipticLongitude(bounds, lambdaRad, epj) {
+  const eps = obliquityOfDate(epj);
+  const ra = mod(Math.atan2(Math.sin(lambdaRad) * Math.cos(eps), Math.cos(lambdaRad)), 2 * Math.PI);
+  const dec = Math.asin(Math.sin(eps) * Math.sin(lambdaRad));
+  return constellationOfDate(bounds, ra, dec, epj);
+}
+
+// Ecliptic longitude of date (rad) of a position of date, for projecting a direction
+// onto the zodiac
+export function eclipticLongitudeOfDate(raRad, decRad, epj) {
+  const eps = obliquityOfDate(epj);
+  const v = raDecToVec(raRad, decRad);
+  return mod(Math.atan2(Math.cos(eps) * v[1] + Math.sin(eps) * v[2], v[0]), 2 * Math.PI);
+}
+
+// Zodiacal age: the constellation holding the March equinox point of date
+export function zodiacalAgeOfDate(bounds, epj) {
+  return constellationOfDate(bounds, 0, 0, epj);
+}
+
+// Zodiacal ages between two epochs: [{ con, start, end }] with start/end the epochs
+// (years) at which the equinox point crosses a boundary, found by bisection to `tol`.
+// The range's own ends are returned where an age runs past them.
+export function zodiacalAgeSpans(bounds, startEpj, endEpj, stepYears = 50, tol = 1) {
+  const spans = [];
+  let prevY = startEpj;
+  let prevCon = zodiacalAgeOfDate(bounds, prevY);
+  let spanStart = startEpj;
+  const n = Math.max(1, Math.ceil((endEpj - startEpj) / stepYears));
+  for (let i = 1; i <= n; i++) {
+    const y = startEpj + (endEpj - startEpj) * i / n;
+    const con = zodiacalAgeOfDate(bounds, y);
+    if (con !== prevCon) {
+      let lo = prevY, hi = y;
+      while (hi - lo > tol) {
+        const mid = (lo + hi) / 2;
+        if (zodiacalAgeOfDate(bounds, mid) === prevCon) lo = mid; else hi = mid;
+      }
+      const crossing = (lo + hi) / 2;
+      spans.push({ con: prevCon, start: spanStart, end: crossing });
+      spanStart = crossing;
+      prevCon = con;
+    }
+    prevY = y;
+  }
+  spans.push({ con: prevCon, start: spanStart, end: endEpj });
+  return spans;
+}
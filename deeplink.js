@@ -0,0 +1,86 @@
+// -----------------------------
+// Deep links: view state <-> URL hash (pure, no DOM)
+// #year=-2492&doy=172&time=3.25&origin=khufu&lock=culmination&shaft=kingsSouth&star=26311
+//   &cam=-2188.9,4083.5,60.0,0.0,0.0,60.0&timeline=standard&story=khufu2600
+// Keys are short and human-readable so a link can be edited by hand; decoding keeps
+// only well-formed fields, and the app validates names against what it knows.
+// -----------------------------
+
+const CUSTOM_LOCK_FIELDS = ['starId', 'event', 'valueDeg', 'anchor', 'month', 'day'];
+const CUSTOM_LOCK_NUMBERS = new Set(['starId', 'valueDeg', 'month', 'day']);
+
+// Commas are legal in a fragment; keep them readable in lists
+function encodeValue(v) {
+  return encodeURIComponent(String(v)).replace(/%2C/gi, ',');
+}
+
+// state: { year, doy, time, origin, snapMode, shaft, target, heliacalStar, customLock,
+//          camera: { position: [x,y,z], target: [x,y,z] }, timeline, story } -> "#..."
+export function encodeViewState(state) {
+  const parts = [
+    ['year', Math.round(state.year)],
+    ['doy', state.doy],
+    ['time', state.time.toFixed(2)],
+    ['origin', state.origin],
+    ['lock', state.snapMode]
+  ];
+  if (state.shaft) parts.push(['shaft', state.shaft]);
+  if (state.target !== null && state.target !== undefined) parts.push(['star', state.target]);
+  if (state.snapMode === 'heliacal' && state.heliacalStar !== null && state.heliacalStar !== undefined) {
+    parts.push(['heliacal', state.heliacalStar]);
+  }
+  if (state.snapMode === 'custom' && state.customLock) {
+    parts.push(['custom', CUSTOM_LOCK_FIELDS.map(k => state.customLock[k]).join(',')]);
+  }
+  if (state.camera) {
+    parts.push(['cam', [...state.camera.position, ...state.camera.target].map(v => v.toFixed(1)).join(',')]);
+  }
+  if (state.timeline) parts.push(['timeline', state.timeline]);
+  if (state.story) parts.push(['story', state.story]);
+  return '#' + parts.map(([k, v]) => `${k}=${encodeValue(v)}`).join('&');
+}
+
+function finiteOrNull(text) {
+  if (text === null || text.trim() === '') return null;
+  const v = Number(text);
+  return Number.isFinite(v) ? v : null;
+}
+
+// "#year=...&..." -> partial state with the same field names, or null if the hash has no year
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const year = finiteOrNull(params.get('year'));
+  if (year === null) return null;
+
+  const state = { year: Math.round(year) };
+  const doy = finiteOrNull(params.get('doy'));
+  if (doy !== null) state.doy = Math.round(doy);
+  const time = finiteOrNull(params.get('time'));
+  if (time !== null) state.time = time;
+  for (const [key, field] of [['origin', 'origin'], ['lock', 'snapMode'], ['shaft', 'shaft'], ['timeline', 'timeline'], ['story', 'story']]) {
+    const v = params.get(key);
+    if (v) state[field] = v;
+  }
+  const star = finiteOrNull(params.get('star'));
+  if (star !== null) state.target = star;
+  const heliacal = finiteOrNull(params.get('heliacal'));
+  if (heliacal !== null) state.heliacalStar = heliacal;
+
+  const custom = params.get('custom');
+  if (custom) {
+    const values = custom.split(',');
+    const lock = {};
+    CUSTOM_LOCK_FIELDS.forEach((k, i) => {
+      if (values[i] === undefined || values[i] === '') return;
+      const v = CUSTOM_LOCK_NUMBERS.has(k) ? finiteOrNull(values[i]) : values[i];
+      if (v !== null) lock[k] = v;
+    });
+    state.customLock = lock;
+  }
+
+  const cam = (params.get('cam') || '').split(',').map(finiteOrNull);
+  if (cam.length === 6 && cam.every(v => v !== null)) {
+    state.camera = { position: cam.slice(0, 3), target: cam.slice(3) };
+  }
+  return state;
+}
@@ -0,0 +1,111 @@
+// -----------------------------
+// Heliacal phenomena (pure math, no rendering)
+//
+// A star is seen at its rising (setting) when, at the moment it stands at a
+// small altitude above the horizon, the Sun is depressed by at least the
+// "arcus visionis". The heliacal rising is the first morning this happens
+// after the star's conjunction with the Sun; the heliacal setting is the last
+// evening before it.
+//
+// Arcus visionis follows the Schoch-style dependence on magnitude (≈7.5° for
+// Sirius, ≈11° for first-magnitude stars, growing ~1.5° per magnitude).
+// -----------------------------
+import {
+  deg2rad, rad2deg, mod, TAU,
+  julianDayFromYMDHMS, julianEpochFromUT, jdTTFromUT, gmstRadians,
+  raDecToVec, vecToRaDec, matVec, ltp_PMAT,
+  starRaDecAtEpoch, isLeapYear
+} from './astronomy.js';
+import { geocentricEquatorialJ2000 } from './planets.js';
+
+export const HELIACAL_DEFAULTS = {
+  starAltitudeDeg: 1.0,     // true altitude of the star at the moment of sighting
+  arcusVisionisDeg: null    // null = derive from magnitude
+};
+
+const SIDEREAL_RATE_RAD_PER_HOUR = deg2rad(360.98564736629 / 24);
+
+export function arcusVisionisForMagnitude(mag) {
+  const m = Number.isFinite(mag) ? mag : 1.0;
+  return Math.max(6.5, Math.min(16.0, 9.7 + 1.5 * m));
+}
+
+// Hour angle (rad, >= 0) at which an object of declination dec reaches true altitude h;
+// null if it never gets there (circumpolar or never rises)
+function hourAngleAtAltitude(dec, latRad, h) {
+  const cosH = (Math.sin(h) - Math.sin(latRad) * Math.sin(dec)) / (Math.cos(latRad) * Math.cos(dec));
+  if (cosH < -1 || cosH > 1) return null;
+  return Math.acos(cosH);
+}
+
+// True altitude and hour angle of the Sun (rad); rp precesses J2000 -> date
+function sunAltitude(jd, latRad, lonRad, rp) {
+  const s = geocentricEquatorialJ2000('sun', jdTTFromUT(jd));
+  const { ra, dec } = vecToRaDec(matVec(rp, raDecToVec(s.ra, s.dec)));
+  const H = mod(gmstRadians(jd) + lonRad - ra + Math.PI, TAU) - Math.PI;
+  const sinAlt = Math.sin(dec) * Math.sin(latRad) + Math.cos(dec) * Math.cos(latRad) * Math.cos(H);
+  return { alt: Math.asin(Math.max(-1, Math.min(1, sinAlt))), H };
+}
+
+// Heliacal rising and setting of a catalog star for astronomical year y.
+// star: { raRad, decRad, mag, [pmRA, pmDec, plx, rv] }; jd/time are UT.
+// Returns { rising, setting, arcusVisionisDeg } where each event is
+// { doy, time (UT hours), jd } or null if the star has no such event that year.
+export function findHeliacalEvents(star, y, latDeg, lonDeg, opts = {}) {
+  const o = { ...HELIACAL_DEFAULTS, ...opts };
+  const av = deg2rad(o.arcusVisionisDeg ?? arcusVisionisForMagnitude(star.mag));
+  const hStar = deg2rad(o.starAltitudeDeg);
+  const latRad = deg2rad(latDeg);
+  const lonRad = deg2rad(lonDeg);
+
+  // Star of date, once per year (precession is negligible over a year)
+  const jdMid = julianDayFromYMDHMS(y, 7, 2, 0, 0, 0);
+  const epj = julianEpochFromUT(jdMid);
+  const rp = ltp_PMAT(epj);
+  const a = starRaDecAtEpoch(star, epj);
+  const { ra, dec } = vecToRaDec(matVec(rp, raDecToVec(a.ra, a.dec)));
+
+  const H0 = hourAngleAtAltitude(dec, latRad, hStar);
+  const result = { rising: null, setting: null, arcusVisionisDeg: rad2deg(av) };
+  if (H0 === null) return result;
+
+  const jdStart = julianDayFromYMDHMS(y, 1, 1, 0, 0, 0);
+  const nDays = isLeapYear(y) ? 366 : 365;
+
+  // Rising/setting instant of the star near day jd0 and whether it is seen then
+  const event = (jd0, sign) => {
+    const gmst0 = gmstRadians(jd0);
+    const transit = mod(ra - gmst0 - lonRad, TAU) / SIDEREAL_RATE_RAD_PER_HOUR;  // hours after 0h UT
+    const time = transit + sign * H0 / SIDEREAL_RATE_RAD_PER_HOUR;
+    const jd = jd0 + time / 24;
+    const sun = sunAltitude(jd, latRad, lonRad, rp);
+    return { jd, seen: sun.alt <= -av, sunH: sun.H };
+  };
+
+  // Day-of-year from the event instant itself (a rising before 0h UT belongs to the previous day)
+  const toEvent = (e) => {
+    const doy = Math.floor(e.jd - jdStart) + 1;
+    if (doy < 1 || doy > nDays) return null;
+    return { doy, time: mod((e.jd - 0.5) * 24, 24), jd: e.jd };
+  };
+
+  let prevRise = event(jdStart - 1, -1);
+  let prevSet = event(jdStart - 1, +1);
+  for (let i = 0; i < nDays; i++) {
+    const jd0 = jdStart + i;
+    const rise = event(jd0, -1);
+    const set = event(jd0, +1);
+
+    // First visible rising with the Sun still east of the meridian (morning)
+    if (!result.rising && rise.seen && !prevRise.seen && rise.sunH < 0) {
+      result.rising = toEvent(rise);
+    }
+    // Last visible setting with the Sun west of the meridian (evening)
+    if (!result.setting && prevSet.seen && !set.seen && prevSet.sunH > 0) {
+      result.setting = toEvent(prevSet);
+    }
+    prevRise = rise;
+    prevSet = set;
+  }
+  return result;
+}
@@ -0,0 +1,235 @@
+// -----------------------------
+// Story Markdown -> HTML (pure, no DOM)
+// Blocks: "#"/"##"/"###" headings, paragraphs separated by blank lines, "-", "*" or
+// "•" bullets, "1." numbered items and "> " quotes. Inline: **bold**, *italic*,
+// `code`, [text](url), ![alt](src) and footnote citations [^id] with "[^id]: text"
+// definitions anywhere in the section.
+// Action links apply a view instead of navigating:
+//   [jump to 10,500 BC](year:-10500)
+//   [Khufu's shaft](preset:khufu2600)
+//   [dawn at the Sphinx](state:year=-10500&origin=sphinx&lock=dawn-spring)  (deep-link keys)
+// All text is escaped and only the tags built here are emitted; URLs must pass the
+// scheme allow-list, so stories from imported presets cannot inject markup.
+// -----------------------------
+
+const ACTION_SCHEMES = new Set(['preset', 'year', 'state']);
+const LINK_SCHEMES = new Set(['http', 'https', 'mailto']);
+const IMAGE_SCHEMES = new Set(['http', 'https']);
+
+// URLs may hold balanced parentheses: https://en.wikipedia.org/wiki/Orion_(constellation)
+const URL_SOURCE = '((?:[^()\\s]|\\([^()\\s]*\\))+)';
+
+// Longest link text / image alt looked for, so an unclosed "[" doesn't scan the whole paragraph
+const LABEL_MAX = 500;
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Scheme of a URL as the browser would read it (lower case), '' for a relative URL
+function urlScheme(url) {
+  const m = url.replace(/[\u0000- \u007F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
+function linkHtml(label, url) {
+  const scheme = urlScheme(url);
+  if (ACTION_SCHEMES.has(scheme)) {
+    const arg = url.slice(url.indexOf(':') + 1);
+    return `<a href="#" class="story-action" data-action="${scheme}" data-arg="${escapeHtml(arg)}">${label}</a>`;
+  }
+  if (scheme === '') return `<a href="${escapeHtml(url)}">${label}</a>`;
+  if (LINK_SCHEMES.has(scheme)) {
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+  }
+  return label;  // unknown scheme (javascript:, data:, ...): keep the text only
+}
+
+function imageHtml(alt, src, title) {
+  const scheme = urlScheme(src);
+  if (scheme !== '' && !IMAGE_SCHEMES.has(scheme)) return escapeHtml(alt);
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${titleAttr} loading="lazy">`;
+}
+
+// Footnote numbers follow the order of first citation
+function footnoteRef(id, ctx) {
+  if (!ctx.notes.has(id)) return escapeHtml(`[^${id}]`);
+  let n = ctx.order.indexOf(id) + 1;
+  if (n === 0) n = ctx.order.push(id);
+  const plain = ctx.notes.get(id).replace(new RegExp(`!?\\[([^\\]]*)\\]\\(${URL_SOURCE}\\)`, 'g'), '$1').replace(/[*`]/g, '');
+  return `<sup class="footnote-ref" title="${escapeHtml(plain)}">[${n}]</sup>`;
+}
+
+// Emphasis spans of text in one pass over its "*" runs (CommonMark's delimiter stack,
+// simplified): a run after a non-space can close, one before a non-space can open, a
+// closer pairs with the nearest opener below it and takes two stars ("**", strong) when
+// both sides have them. Code spans are skipped. Returns Map start -> { delim, length }
+// with delim 1 (*) or 2 (**) and length covering both delimiters, so "**bold *it***"
+// nests properly and unclosed runs cost nothing extra.
+function emphasisSpans(text) {
+  const spans = new Map();
+  const openers = [];
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '`') {
+      const end = text.indexOf('`', i + 1);
+      i = end < 0 ? i + 1 : end + 1;
+      continue;
+    }
+    if (text[i] !== '*') {
+      i++;
+      continue;
+    }
+    let run = 1;
+    while (text[i + run] === '*') run++;
+    const closer = { pos: i, left: run };
+    const canOpen = /\S/.test(text[i + run] || ' ');
+    const canClose = i > 0 && /\S/.test(text[i - 1]);
+    while (canClose && closer.left > 0 && openers.length) {
+      const opener = openers[openers.length - 1];
+      const delim = opener.left >= 2 && closer.left >= 2 ? 2 : 1;
+      opener.left -= delim;
+      const start = opener.pos + opener.left;
+      spans.set(start, { delim, length: closer.pos + delim - start });
+      closer.pos += delim;
+      closer.left -= delim;
+      if (opener.left === 0) openers.pop();
+    }
+    if (canOpen && closer.left > 0) openers.push(closer);
+    i += run;
+  }
+  return spans;
+}
+
+// A span starting here -> [whole, inner] like a regex match, or null
+function emphasisMatch(text, span, delim) {
+  if (!span || span.delim !== delim) return null;
+  return [text.slice(0, span.length), text.slice(delim, span.length - delim)];
+}
+
+// Emphasis nested deeper than this is left as literal stars, so crafted input cannot
+// recurse without bound
+const MAX_EMPHASIS_DEPTH = 8;
+
+const INLINE_RULES = [
+  { re: new RegExp(`^!\\[([^\\]]{0,${LABEL_MAX}})\\]\\(${URL_SOURCE}(?:\\s+"([^"]*)")?\\)`), render: (m) => imageHtml(m[1], m[2], m[3]) },
+  { re: /^\[\^([^\]\s]+)\]/, render: (m, ctx) => footnoteRef(m[1], ctx) },
+  { re: new RegExp(`^\\[([^\\]]{1,${LABEL_MAX}})\\]\\(${URL_SOURCE}\\)`), link: true, render: (m, ctx) => linkHtml(renderInline(m[1], { ...ctx, inLink: true }), m[2]) },
+  { emphasis: 2, render: (m, ctx) => `<strong>${renderInline(m[1], { ...ctx, depth: ctx.depth + 1 })}</strong>` },
+  { emphasis: 1, render: (m, ctx) => `<em>${renderInline(m[1], { ...ctx, depth: ctx.depth + 1 })}</em>` },
+  { re: /^`([^`]+)`/, render: (m) => `<code>${escapeHtml(m[1])}</code>` }
+];
+
+function renderInline(text, ctx) {
+  const spans = emphasisSpans(text);
+  let html = '';
+  let rest = text;
+  while (rest) {
+    const plain = rest.match(/^[^!\[*`]+/);
+    if (plain) {
+      html += escapeHtml(plain[0]);
+      rest = rest.slice(plain[0].length);
+      continue;
+    }
+    let matched = false;
+    for (const rule of INLINE_RULES) {
+      if (rule.link && ctx.inLink) continue;  // no links inside link text
+      if (rule.emphasis && ctx.depth >= MAX_EMPHASIS_DEPTH) continue;
+      const m = rule.re ? rest.match(rule.re) : emphasisMatch(rest, spans.get(text.length - rest.length), rule.emphasis);
+      if (!m) continue;
+      html += rule.render(m, ctx);
+      rest = rest.slice(m[0].length);
+      matched = true;
+      break;
+    }
+    if (!matched) {
+      html += escapeHtml(rest[0]);
+      rest = rest.slice(1);
+    }
+  }
+  return html;
+}
+
+const BLOCK_PATTERNS = {
+  heading: /^(#{1,3})\s+(.*)$/,
+  bullet: /^[-*•]\s+(.*)$/,
+  numbered: /^\d+[.)]\s+(.*)$/,
+  quote: /^>\s?(.*)$/
+};
+
+// titleFirstLine: a leading plain line is the section title (story.txt, tour
+// narration and preset stories all start that way)
+export function renderMarkdown(text, { titleFirstLine = false } = {}) {
+  const ctx = { notes: new Map(), order: [], inLink: false, depth: 0 };
+  const lines = [];
+  for (const line of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const def = line.trim().match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+    if (def) ctx.notes.set(def[1], def[2]);
+    else lines.push(line.trim());
+  }
+
+  let html = '';
+  let para = [];
+  let list = null;   // 'ul' | 'ol'
+  let quote = [];
+  let seenContent = false;
+
+  const flushPara = () => {
+    if (para.length) html += `<p>${renderInline(para.join(' '), ctx)}</p>`;
+    para = [];
+  };
+  const flushList = () => {
+    if (list) html += `</${list}>`;
+    list = null;
+  };
+  const flushQuote = () => {
+    if (quote.length) html += `<blockquote><p>${renderInline(quote.join(' '), ctx)}</p></blockquote>`;
+    quote = [];
+  };
+  const flushAll = () => { flushPara(); flushList(); flushQuote(); };
+
+  for (const line of lines) {
+    if (!line) {
+      flushAll();
+      continue;
+    }
+    const first = !seenContent;
+    seenContent = true;
+
+    let m;
+    if ((m = line.match(BLOCK_PATTERNS.heading))) {
+      flushAll();
+      const level = m[1].length + 1;  // "#" is the panel's h2
+      html += `<h${level}>${renderInline(m[2], ctx)}</h${level}>`;
+    } else if ((m = line.match(BLOCK_PATTERNS.bullet)) || (m = line.match(BLOCK_PATTERNS.numbered))) {
+      const kind = BLOCK_PATTERNS.bullet.test(line) ? 'ul' : 'ol';
+      flushPara();
+      flushQuote();
+      if (list !== kind) {
+        flushList();
+        html += `<${kind}>`;
+        list = kind;
+      }
+      html += `<li>${renderInline(m[1], ctx)}</li>`;
+    } else if ((m = line.match(BLOCK_PATTERNS.quote))) {
+      flushPara();
+      flushList();
+      quote.push(m[1]);
+    } else if (first && titleFirstLine) {
+      html += `<h2>${renderInline(line, ctx)}</h2>`;
+    } else {
+      flushList();
+      flushQuote();
+      para.push(line);
+    }
+  }
+  flushAll();
+
+  if (ctx.order.length) {
+    html += '<ol class="footnotes">';
+    for (const id of ctx.order) html += `<li>${renderInline(ctx.notes.get(id), { ...ctx, notes: new Map() })}</li>`;
+    html += '</ol>';
+  }
+  return html;
+}
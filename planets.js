@@ -0,0 +1,314 @@
+// -----------------------------
+// Sun, Moon and naked-eye planets (pure math, no rendering)
+//
+// Planets: JPL Keplerian elements for approximate positions (Standish,
+// "Keplerian Elements for Approximate Positions of the Major Planets",
+// Table 2a elements with the Table 2b extra mean-anomaly terms b, c, s, f for
+// Jupiter and Saturn), both fitted to 3000 BC – AD 3000. Outside that range the
+// linear rates are extrapolated: orbits drift off their real planes and the
+// planets are indicative only. The Sun keeps its longitude from the elements but
+// is held on the Vondrák ecliptic of date, so seasons, solstice dawns and
+// heliacal dates stay usable across the whole deep-time timeline.
+//
+// Moon: principal terms of the Meeus (Astronomical Algorithms ch. 47) series.
+// Beyond a few millennia lunar longitude is dominated by ΔT/tidal uncertainty,
+// so the Moon is indicative only in deep time.
+// -----------------------------
+import {
+  deg2rad, rad2deg, mod, EPS0, TAU, AS2R, vecToRaDec, raDecToVec, matVec, ltp_PMAT, ltp_PEQU, ltp_PECL, vDot,
+  gmstRadians, julianDayFromYMDHMS, jdTTFromUT, julianEpochFromJD, deltaTForJD, monthDayFromDOY, azAltFromRaDec
+} from './astronomy.js';
+
+const AU_KM = 149597870.7;
+const EARTH_RADIUS_KM = 6378.14;
+
+// Elements at J2000 and rates per Julian century (TT):
+// a (au), e, I (deg), L mean longitude (deg), varpi longitude of perihelion (deg), Omega node (deg)
+const ELEMENTS = {
+  mercury: { a: [0.38709843, 0.0], e: [0.20563661, 0.00002123], I: [7.00559432, -0.00590158],
+             L: [252.25166724, 149472.67486623], w: [77.45771895, 0.15940013], O: [48.33961819, -0.12214182] },
+  venus:   { a: [0.72332102, -0.00000026], e: [0.00676399, -0.00005107], I: [3.39777545, 0.00043494],
+             L: [181.97970850, 58517.81560260], w: [131.76755713, 0.05679648], O: [76.67261496, -0.27274174] },
+  earth:   { a: [1.00000018, -0.00000003], e: [0.01673163, -0.00003661], I: [-0.00054346, -0.01337178],
+             L: [100.46691572, 35999.37306329], w: [102.93005885, 0.31795260], O: [-5.11260389, -0.24123856] },
+  mars:    { a: [1.52371243, 0.00000097], e: [0.09336511, 0.00009149], I: [1.85181869, -0.00724757],
+             L: [-4.56813164, 19140.29934243], w: [-23.91744784, 0.45223625], O: [49.71320984, -0.26852431] },
+  jupiter: { a: [5.20248019, -0.00002864], e: [0.04853590, 0.00018026], I: [1.29861416, -0.00322699],
+             L: [34.33479152, 3034.90371757], w: [14.27495244, 0.18199196], O: [100.29282654, 0.13024619],
+             extra: { b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000 } },
+  saturn:  { a: [9.54149883, -0.00003065], e: [0.05550825, -0.00032044], I: [2.49424102, 0.00451969],
+             L: [50.07571329, 1222.11494724], w: [92.86136063, 0.54179478], O: [113.63998702, -0.25015002],
+             extra: { b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000 } },
+};
+
+export const SOLAR_SYSTEM_BODIES = [
+  { key: 'sun',     label: 'Sun',     color: '#f5a300', size: 1.6 },
+  { key: 'moon',    label: 'Moon',    color: '#8a8a8a', size: 1.6 },
+  { key: 'mercury', label: 'Mercury', color: '#7a7a7a', size: 0.8 },
+  { key: 'venus',   label: 'Venus',   color: '#c9a227', size: 1.1 },
+  { key: 'mars',    label: 'Mars',    color: '#c1440e', size: 1.0 },
+  { key: 'jupiter', label: 'Jupiter', color: '#b07a3a', size: 1.1 },
+  { key: 'saturn',  label: 'Saturn',  color: '#9c8a4e', size: 1.0 },
+];
+
+function solveKepler(M, e) {
+  // M, E in radians
+  let E = M + e * Math.sin(M);
+  for (let i = 0; i < 30; i++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E;
+}
+
+// Heliocentric position in the J2000 ecliptic frame (au); T = Julian centuries TT from J2000
+export function heliocentricEclipticJ2000(key, T) {
+  const el = ELEMENTS[key];
+  if (!el) throw new Error(`No elements for ${key}`);
+
+  const a = el.a[0] + el.a[1]*T;
+  const e = el.e[0] + el.e[1]*T;
+  const I = deg2rad(el.I[0] + el.I[1]*T);
+  const L = el.L[0] + el.L[1]*T;
+  const varpi = el.w[0] + el.w[1]*T;
+  const Om = deg2rad(el.O[0] + el.O[1]*T);
+
+  let Mdeg = L - varpi;
+  if (el.extra) {
+    const { b, c, s, f } = el.extra;
+    Mdeg += b*T*T + c*Math.cos(deg2rad(f*T)) + s*Math.sin(deg2rad(f*T));
+  }
+  const M = deg2rad(mod(Mdeg + 180, 360) - 180);
+  const w = deg2rad(varpi) - Om;  // argument of perihelion
+
+  const E = solveKepler(M, e);
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e*e) * Math.sin(E);
+
+  const cw = Math.cos(w), sw = Math.sin(w);
+  const cO = Math.cos(Om), sO = Math.sin(Om);
+  const cI = Math.cos(I), sI = Math.sin(I);
+
+  return [
+    (cw*cO - sw*sO*cI)*xp + (-sw*cO - cw*sO*cI)*yp,
+    (cw*sO + sw*cO*cI)*xp + (-sw*sO + cw*cO*cI)*yp,
+    (sw*sI)*xp + (cw*sI)*yp,
+  ];
+}
+
+function eclipticToEquatorialJ2000(v) {
+  const c = Math.cos(EPS0), s = Math.sin(EPS0);
+  return [v[0], c*v[1] - s*v[2], s*v[1] + c*v[2]];
+}
+
+// The Earth's linear I and Omega rates tilt its orbit off the real ecliptic outside the
+// fitted range (the Sun strays up to 0.26° off it by 25000 BC and 2.9° by 47000 BC),
+// so the Sun keeps only its longitude from the elements and is projected onto the
+// Vondrák ecliptic of date.
+function onEclipticOfDate(v, jdTT) {
+  const pole = ltp_PECL(julianEpochFromJD(jdTT));
+  const k = vDot(v, pole);
+  return [v[0] - k*pole[0], v[1] - k*pole[1], v[2] - k*pole[2]];
+}
+
+// Geocentric direction of the Sun or a planet, J2000 mean equator/equinox
+// (feed to the same precession matrix as the stars). Light time is ignored.
+export function geocentricEquatorialJ2000(key, jdTT) {
+  const T = (jdTT - 2451545.0) / 36525.0;
+  const earth = heliocentricEclipticJ2000('earth', T);
+  let g;
+  if (key === 'sun') {
+    g = [-earth[0], -earth[1], -earth[2]];
+  } else {
+    const p = heliocentricEclipticJ2000(key, T);
+    g = [p[0] - earth[0], p[1] - earth[1], p[2] - earth[2]];
+  }
+  const v = eclipticToEquatorialJ2000(g);
+  const { ra, dec } = vecToRaDec(key === 'sun' ? onEclipticOfDate(v, jdTT) : v);
+  return { ra, dec, distAU: Math.hypot(g[0], g[1], g[2]) };
+}
+
+// Mean obliquity of date from the long-term precession poles (rad)
+export function obliquityOfDate(epj) {
+  return Math.acos(Math.max(-1, Math.min(1, vDot(ltp_PEQU(epj), ltp_PECL(epj)))));
+}
+
+// Geocentric Moon, mean equator/equinox OF DATE (not J2000)
+export function moonEquatorialOfDate(jdTT, epj) {
+  const T = (jdTT - 2451545.0) / 36525.0;
+  const T2 = T*T, T3 = T2*T, T4 = T3*T;
+
+  const Lp = deg2rad(mod(218.3164477 + 481267.88123421*T - 0.0015786*T2 + T3/538841 - T4/65194000, 360));
+  const D  = deg2rad(mod(297.8501921 + 445267.1114034*T - 0.0018819*T2 + T3/545868 - T4/113065000, 360));
+  const M  = deg2rad(mod(357.5291092 + 35999.0502909*T - 0.0001536*T2 + T3/24490000, 360));
+  const Mp = deg2rad(mod(134.9633964 + 477198.8675055*T + 0.0087414*T2 + T3/69699 - T4/14712000, 360));
+  const F  = deg2rad(mod(93.2720950 + 483202.0175233*T - 0.0036539*T2 - T3/3526000 + T4/863310000, 360));
+
+  const lonDeg =
+      6.288774*Math.sin(Mp)
+    + 1.274027*Math.sin(2*D - Mp)
+    + 0.658314*Math.sin(2*D)
+    + 0.213618*Math.sin(2*Mp)
+    - 0.185116*Math.sin(M)
+    - 0.114332*Math.sin(2*F)
+    + 0.058793*Math.sin(2*D - 2*Mp)
+    + 0.057066*Math.sin(2*D - M - Mp)
+    + 0.053322*Math.sin(2*D + Mp)
+    + 0.045758*Math.sin(2*D - M)
+    - 0.040923*Math.sin(M - Mp)
+    - 0.034720*Math.sin(D)
+    - 0.030383*Math.sin(M + Mp);
+
+  const latDeg =
+      5.128122*Math.sin(F)
+    + 0.280602*Math.sin(Mp + F)
+    + 0.277693*Math.sin(Mp - F)
+    + 0.173237*Math.sin(2*D - F)
+    + 0.055413*Math.sin(2*D - Mp + F)
+    + 0.046271*Math.sin(2*D - Mp - F)
+    + 0.032573*Math.sin(2*D + F)
+    + 0.017198*Math.sin(2*Mp + F);
+
+  const distKm = 385000.56
+    - 20905.355*Math.cos(Mp)
+    - 3699.111*Math.cos(2*D - Mp)
+    - 2955.968*Math.cos(2*D)
+    - 569.925*Math.cos(2*Mp);
+
+  const lam = Lp + deg2rad(lonDeg);
+  const bet = deg2rad(latDeg);
+  const eps = obliquityOfDate(epj);
+
+  const cb = Math.cos(bet);
+  const v = [cb*Math.cos(lam), cb*Math.sin(lam), Math.sin(bet)];
+  const { ra, dec } = vecToRaDec([v[0], Math.cos(eps)*v[1] - Math.sin(eps)*v[2], Math.sin(eps)*v[1] + Math.cos(eps)*v[2]]);
+  return { ra, dec, distKm };
+}
+
+// Shift a geocentric direction (of date) to the observer's position on the Earth's surface.
+// Only matters for the Moon (~1° parallax); jd is UT.
+export function topocentricRaDec(ra, dec, distKm, jd, latRad, lonRad) {
+  const lst = gmstRadians(jd) + lonRad;
+  const d = distKm / EARTH_RADIUS_KM;
+  const cd = Math.cos(dec);
+  const v = [
+    d*cd*Math.cos(ra) - Math.cos(latRad)*Math.cos(lst),
+    d*cd*Math.sin(ra) - Math.cos(latRad)*Math.sin(lst),
+    d*Math.sin(dec)   - Math.sin(latRad),
+  ];
+  return vecToRaDec(v);
+}
+
+export function distanceAUtoKm(au) { return au * AU_KM; }
+
+// Ecliptic longitude of the Sun (rad, J2000 ecliptic) from the same elements
+export function solarLongitudeJ2000(jdTT) {
+  const T = (jdTT - 2451545.0) / 36525.0;
+  const e = heliocentricEclipticJ2000('earth', T);
+  return mod(Math.atan2(-e[1], -e[0]), TAU);
+}
+
+// -----------------------------
+// Sun of date + civil dawn
+// -----------------------------
+// Civil dawn definition: Sun's center at -6° altitude (start of morning civil twilight).
+// We compute an approximate UTC time by searching across the day.
+
+// Sun's RA/Dec on the mean equator/equinox of date (rad), from the same elements as the
+// solstice solver so a "solstice dawn" is dawn under the Sun that defines the solstice; jd is UT
+export function sunRaDecOfDate(jd) {
+  const jdTT = jdTTFromUT(jd);
+  const s = geocentricEquatorialJ2000('sun', jdTT);
+  return vecToRaDec(matVec(ltp_PMAT(julianEpochFromJD(jdTT)), raDecToVec(s.ra, s.dec)));
+}
+
+export function findCivilDawnUTHours(y, doy, latDeg, lonDeg) {
+  const { m, d } = monthDayFromDOY(y, doy);
+  const latRad = deg2rad(latDeg);
+  const lonRad = deg2rad(lonDeg);
+
+  const targetAlt = deg2rad(-6.0); // civil dawn
+  let bestT = 6.0;
+  let bestErr = 1e9;
+
+  // Coarse scan (every 5 minutes) to find a bracket near the rising crossing.
+  let prevAlt = null;
+  let prevT = null;
+  for (let t = 0; t <= 24; t += (5/60)) {
+    const hh = Math.floor(t);
+    const mm = Math.round((t - hh) * 60);
+    const jd = julianDayFromYMDHMS(y, m, d, hh, mm, 0);
+    const { ra, dec } = sunRaDecOfDate(jd);
+    const { alt } = azAltFromRaDec(ra, dec, jd, latRad, lonRad);
+
+    const err = Math.abs(alt - targetAlt);
+    if (err < bestErr) { bestErr = err; bestT = t; }
+
+    if (prevAlt !== null) {
+      // rising crossing: prev below target, now above target
+      if (prevAlt < targetAlt && alt >= targetAlt) {
+        // refine with binary search in [prevT, t]
+        let a = prevT, b = t;
+        for (let i = 0; i < 28; i++) {
+          const mid = (a + b) / 2;
+          const hhm = Math.floor(mid);
+          const mmm = Math.round((mid - hhm) * 60);
+          const jdM = julianDayFromYMDHMS(y, m, d, hhm, mmm, 0);
+          const s = sunRaDecOfDate(jdM);
+          const aa = azAltFromRaDec(s.ra, s.dec, jdM, latRad, lonRad).alt;
+          if (aa < targetAlt) a = mid; else b = mid;
+        }
+        return (a + b) / 2;
+      }
+    }
+    prevAlt = alt;
+    prevT = t;
+  }
+
+  // Fallback: return the closest time if no crossing found.
+  return bestT;
+}
+
+// -----------------------------
+// Solstices and equinoxes
+// -----------------------------
+// Apparent solar longitude of date: 0° March equinox, 90° June solstice, 180° September
+// equinox, 270° December solstice (northern-hemisphere season names).
+export const SEASONS = {
+  'spring-equinox':  { label: "Spring equinox",  longitudeDeg: 0 },
+  'summer-solstice': { label: "Summer solstice", longitudeDeg: 90 },
+  'autumn-equinox':  { label: "Autumn equinox",  longitudeDeg: 180 },
+  'winter-solstice': { label: "Winter solstice", longitudeDeg: 270 }
+};
+
+const ABERRATION_RAD = 20.4898 * AS2R;  // annual aberration at 1 au
+const TROPICAL_YEAR_DAYS = 365.24219;
+
+// Solar longitude on the mean ecliptic/equinox of date, with aberration (rad);
+// nutation (±17″, a few minutes of time) is ignored.
+export function solarLongitudeOfDate(jdTT) {
+  const epj = julianEpochFromJD(jdTT);
+  const s = geocentricEquatorialJ2000('sun', jdTT);
+  const v = matVec(ltp_PMAT(epj), raDecToVec(s.ra, s.dec));
+  const eps = obliquityOfDate(epj);
+  const yEcl = Math.cos(eps)*v[1] + Math.sin(eps)*v[2];
+  return mod(Math.atan2(yEcl, v[0]) - ABERRATION_RAD / s.distAU, TAU);
+}
+
+// First instant in astronomical year y (proleptic Gregorian) when the Sun reaches the given
+// longitude of date; returns the UT Julian date.
+export function findSolarLongitudeInstantUT(y, longitudeDeg) {
+  const target = deg2rad(longitudeDeg);
+  const jdStart = jdTTFromUT(julianDayFromYMDHMS(y, 1, 1, 0, 0, 0));
+
+  // Forward from Jan 1 by the mean motion, then Newton on the true longitude
+  let jd = jdStart + rad2deg(mod(target - solarLongitudeOfDate(jdStart), TAU)) / 360 * TROPICAL_YEAR_DAYS;
+  for (let i = 0; i < 8; i++) {
+    const diff = mod(target - solarLongitudeOfDate(jd) + Math.PI, TAU) - Math.PI;
+    jd += rad2deg(diff) / 360 * TROPICAL_YEAR_DAYS;
+    if (Math.abs(diff) < 1e-8) break;
+  }
+  // TT -> UT (ΔT is smooth, one step is enough)
+  return jd - deltaTForJD(jd) / 86400;
+}
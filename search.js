@@ -0,0 +1,56 @@
+// -----------------------------
+// Global minimum search over a 1-D range (pure math, no rendering)
+// Used for alignment epochs: the error curve has several minima across the
+// timeline (precession cycles), so every bracketed minimum is refined and
+// returned rather than stopping at the first local one.
+// -----------------------------
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+// Golden-section search for a minimum of f inside [a, b] (f unimodal there).
+// Robust for the V-shaped minima of |angle| errors, where parabolic steps stall.
+export function goldenSectionMinimize(f, a, b, tol = 1e-3) {
+  let x1 = b - GOLDEN * (b - a);
+  let x2 = a + GOLDEN * (b - a);
+  let f1 = f(x1), f2 = f(x2);
+  while (Math.abs(b - a) > tol) {
+    if (f1 <= f2) {
+      b = x2; x2 = x1; f2 = f1;
+      x1 = b - GOLDEN * (b - a); f1 = f(x1);
+    } else {
+      a = x1; x1 = x2; f1 = f2;
+      x2 = a + GOLDEN * (b - a); f2 = f(x2);
+    }
+  }
+  const x = (a + b) / 2;
+  return { x, fx: f(x) };
+}
+
+// Sample f on [a, b] every `step`, bracket each local minimum between its neighbours,
+// refine to `tol`, and return all minima sorted by value: [{ x, fx, boundary }].
+// Minima at the ends of the range are kept but flagged (the true minimum may lie outside).
+export function findAllMinima(f, a, b, { step, tol = 1e-3 } = {}) {
+  const n = Math.max(2, Math.ceil((b - a) / step));
+  const xs = [];
+  const fs = [];
+  for (let i = 0; i <= n; i++) {
+    const x = a + (b - a) * i / n;
+    xs.push(x);
+    fs.push(f(x));
+  }
+
+  const minima = [];
+  for (let i = 0; i <= n; i++) {
+    const left = i > 0 ? fs[i - 1] : Infinity;
+    const right = i < n ? fs[i + 1] : Infinity;
+    if (!(fs[i] <= left && fs[i] < right)) continue;
+
+    const lo = xs[Math.max(0, i - 1)];
+    const hi = xs[Math.min(n, i + 1)];
+    const { x, fx } = goldenSectionMinimize(f, lo, hi, tol);
+    minima.push({ x, fx, boundary: i === 0 || i === n });
+  }
+
+  minima.sort((p, q) => p.fx - q.fx);
+  return minima;
+}
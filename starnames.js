@@ -0,0 +1,224 @@
+// -----------------------------
+// Star names and designations (pure lookup, no rendering)
+// Names, Bayer letters, Flamsteed numbers and constellations come from
+// d3-celestial starnames.json (keyed by HIP). A star can be looked up by its
+// common name ("Al Nitak" = "Alnitak"), Bayer designation ("ε Ori",
+// "eps Ori", "epsilon Orionis", "alpha1 Cen"), Flamsteed number ("46 Ori") or
+// HIP number ("HIP 26311", "26311").
+// -----------------------------
+
+// Greek letter -> spellings accepted in queries (full name first)
+const GREEK_LETTERS = {
+  'α': ['alpha', 'alp', 'alf'],
+  'β': ['beta', 'bet'],
+  'γ': ['gamma', 'gam'],
+  'δ': ['delta', 'del'],
+  'ε': ['epsilon', 'eps'],
+  'ζ': ['zeta', 'zet'],
+  'η': ['eta'],
+  'θ': ['theta', 'tet', 'the'],
+  'ι': ['iota', 'iot'],
+  'κ': ['kappa', 'kap'],
+  'λ': ['lambda', 'lam'],
+  'μ': ['mu'],
+  'ν': ['nu'],
+  'ξ': ['xi'],
+  'ο': ['omicron', 'omi'],
+  'π': ['pi'],
+  'ρ': ['rho'],
+  'σ': ['sigma', 'sig'],
+  'τ': ['tau'],
+  'υ': ['upsilon', 'ups'],
+  'φ': ['phi'],
+  'χ': ['chi'],
+  'ψ': ['psi'],
+  'ω': ['omega', 'ome']
+};
+
+// IAU constellation abbreviation -> [name, Latin genitive] ("ε Ori" = "epsilon Orionis")
+const CONSTELLATIONS = {
+  And: ['Andromeda', 'Andromedae'],
+  Ant: ['Antlia', 'Antliae'],
+  Aps: ['Apus', 'Apodis'],
+  Aql: ['Aquila', 'Aquilae'],
+  Aqr: ['Aquarius', 'Aquarii'],
+  Ara: ['Ara', 'Arae'],
+  Ari: ['Aries', 'Arietis'],
+  Aur: ['Auriga', 'Aurigae'],
+  Boo: ['Boötes', 'Boötis'],
+  CMa: ['Canis Major', 'Canis Majoris'],
+  CMi: ['Canis Minor', 'Canis Minoris'],
+  CVn: ['Canes Venatici', 'Canum Venaticorum'],
+  Cae: ['Caelum', 'Caeli'],
+  Cam: ['Camelopardalis', 'Camelopardalis'],
+  Cap: ['Capricornus', 'Capricorni'],
+  Car: ['Carina', 'Carinae'],
+  Cas: ['Cassiopeia', 'Cassiopeiae'],
+  Cen: ['Centaurus', 'Centauri'],
+  Cep: ['Cepheus', 'Cephei'],
+  Cet: ['Cetus', 'Ceti'],
+  Cha: ['Chamaeleon', 'Chamaeleontis'],
+  Cir: ['Circinus', 'Circini'],
+  Cnc: ['Cancer', 'Cancri'],
+  Col: ['Columba', 'Columbae'],
+  Com: ['Coma Berenices', 'Comae Berenices'],
+  CrA: ['Corona Austrina', 'Coronae Austrini'],
+  CrB: ['Corona Borealis', 'Coronae Borealis'],
+  Crt: ['Crater', 'Crateris'],
+  Cru: ['Crux', 'Crucis'],
+  Crv: ['Corvus', 'Corvi'],
+  Cyg: ['Cygnus', 'Cygni'],
+  Del: ['Delphinus', 'Delphini'],
+  Dor: ['Dorado', 'Doradus'],
+  Dra: ['Draco', 'Draconis'],
+  Equ: ['Equuleus', 'Equulei'],
+  Eri: ['Eridanus', 'Eridani'],
+  For: ['Fornax', 'Fornacis'],
+  Gem: ['Gemini', 'Geminorum'],
+  Gru: ['Grus', 'Gruis'],
+  Her: ['Hercules', 'Herculis'],
+  Hor: ['Horologium', 'Horologii'],
+  Hya: ['Hydra', 'Hydrae'],
+  Hyi: ['Hydrus', 'Hydri'],
+  Ind: ['Indus', 'Indi'],
+  LMi: ['Leo Minor', 'Leonis Minoris'],
+  Lac: ['Lacerta', 'Lacertae'],
+  Leo: ['Leo', 'Leonis'],
+  Lep: ['Lepus', 'Leporis'],
+  Lib: ['Libra', 'Librae'],
+  Lup: ['Lupus', 'Lupi'],
+  Lyn: ['Lynx', 'Lyncis'],
+  Lyr: ['Lyra', 'Lyrae'],
+  Men: ['Mensa', 'Mensae'],
+  Mic: ['Microscopium', 'Microscopii'],
+  Mon: ['Monoceros', 'Monocerotis'],
+  Mus: ['Musca', 'Muscae'],
+  Nor: ['Norma', 'Normae'],
+  Oct: ['Octans', 'Octantis'],
+  Oph: ['Ophiuchus', 'Ophiuchi'],
+  Ori: ['Orion', 'Orionis'],
+  Pav: ['Pavo', 'Pavonis'],
+  Peg: ['Pegasus', 'Pegasi'],
+  Per: ['Perseus', 'Persei'],
+  Phe: ['Phoenix', 'Phoenicis'],
+  Pic: ['Pictor', 'Pictoris'],
+  PsA: ['Piscis Austrinus', 'Piscis Austrini'],
+  Psc: ['Pisces', 'Piscium'],
+  Pup: ['Puppis', 'Puppis'],
+  Pyx: ['Pyxis', 'Pyxidis'],
+  Ret: ['Reticulum', 'Reticuli'],
+  Scl: ['Sculptor', 'Sculptoris'],
+  Sco: ['Scorpius', 'Scorpii'],
+  Sct: ['Scutum', 'Scuti'],
+  Ser: ['Serpens', 'Serpentis'],
+  Sex: ['Sextans', 'Sextantis'],
+  Sge: ['Sagitta', 'Sagittae'],
+  Sgr: ['Sagittarius', 'Sagittarii'],
+  Tau: ['Taurus', 'Tauri'],
+  Tel: ['Telescopium', 'Telescopii'],
+  TrA: ['Triangulum Australe', 'Trianguli Australis'],
+  Tri: ['Triangulum', 'Trianguli'],
+  Tuc: ['Tucana', 'Tucanae'],
+  UMa: ['Ursa Major', 'Ursae Majoris'],
+  UMi: ['Ursa Minor', 'Ursae Minoris'],
+  Vel: ['Vela', 'Velorum'],
+  Vir: ['Virgo', 'Virginis'],
+  Vol: ['Volans', 'Volantis'],
+  Vul: ['Vulpecula', 'Vulpeculae']
+};
+
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+// Lowercase, superscripts to digits, strip accents, drop spaces and punctuation
+function normalizeQuery(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, ch => String(SUPERSCRIPT_DIGITS.indexOf(ch)))
+    .normalize('NFD').replace(/\p{M}/gu, '')   // "Boötis" = "Bootis"
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Copy name/bayer/flam/constellation onto catalog stars; returns how many matched
+export function applyStarNames(stars, data) {
+  if (!data || typeof data !== 'object') return 0;
+  let n = 0;
+  for (const s of stars) {
+    if (s.id === null) continue;
+    const row = data[s.id];
+    if (!row) continue;
+    if (row.name && !s.name) s.name = row.name;
+    if (row.bayer) s.bayer = row.bayer;
+    if (row.flam) s.flam = row.flam;
+    if (row.c) s.con = row.c;
+    n++;
+  }
+  return n;
+}
+
+// "Orion" for "Ori"; the abbreviation itself if unknown
+export function constellationName(abbr) {
+  return CONSTELLATIONS[abbr]?.[0] || abbr;
+}
+
+// "ε Ori" / "46 Ori" / "" (Bayer preferred over Flamsteed)
+export function starDesignation(star) {
+  if (!star.con) return '';
+  if (star.bayer) return `${star.bayer} ${star.con}`;
+  if (star.flam) return `${star.flam} ${star.con}`;
+  return '';
+}
+
+function hipDesignation(star) {
+  return star.id !== null && star.id !== undefined ? `HIP ${star.id}` : '';
+}
+
+// "Alnilam", else "τ Phe", else "HIP 88"
+export function starShortName(star) {
+  return star.name || starDesignation(star) || hipDesignation(star) || 'Unnamed star';
+}
+
+// "Alnilam (ε Ori, HIP 26311)"
+export function starLabel(star) {
+  const parts = [starDesignation(star), hipDesignation(star)].filter(Boolean);
+  const title = star.name || parts.shift() || 'Unnamed star';
+  return parts.length ? `${title} (${parts.join(', ')})` : title;
+}
+
+// Every normalized key a star answers to
+function starKeys(star) {
+  const keys = [];
+  if (star.name) keys.push(normalizeQuery(star.name));
+  if (star.id !== null && star.id !== undefined) keys.push(`hip${star.id}`, String(star.id));
+  const cons = star.con ? [star.con, CONSTELLATIONS[star.con]?.[1]].filter(Boolean) : [];
+  for (const con of cons) {
+    if (star.flam) keys.push(normalizeQuery(`${star.flam}${con}`));
+    if (!star.bayer) continue;
+    const letter = star.bayer[0];
+    const suffix = star.bayer.slice(1);
+    const spellings = [letter, ...(GREEK_LETTERS[letter] || [])];
+    for (const sp of spellings) keys.push(normalizeQuery(`${sp}${suffix}${con}`));
+  }
+  return keys;
+}
+
+// Stars matching a query, best first: exact key matches, then name/designation
+// prefixes; ties broken by brightness. Returns at most `limit` stars.
+export function searchStars(stars, query, limit = 10) {
+  const q = normalizeQuery(query);
+  if (!q) return [];
+  const hits = [];
+  for (const s of stars) {
+    const keys = starKeys(s);
+    let rank = null;
+    if (keys.includes(q)) rank = 0;
+    else if (keys.some(k => k.startsWith(q) && !/^\d+$/.test(k))) rank = 1;
+    if (rank !== null) hits.push({ s, rank });
+  }
+  hits.sort((a, b) => a.rank - b.rank || a.s.mag - b.s.mag);
+  return hits.slice(0, limit).map(h => h.s);
+}
+
+// Single best match for a query, or null
+export function findStar(stars, query) {
+  return searchStars(stars, query, 1)[0] || null;
+}
@@ -0,0 +1,80 @@
+// -----------------------------
+// Service worker: offline cache for museum kiosks / field lectures
+// Precaches the app shell and vendored sky catalogs; everything else
+// (Three.js from unpkg, CDN catalog fallback) is cached on first use.
+// Requests are answered from cache first and refreshed in the background.
+// -----------------------------
+const CACHE_NAME = 'giza-alignments-v12';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'app.js',
+  'astronomy.js',
+  'planets.js',
+  'heliacal.js',
+  'search.js',
+  'starnames.js',
+  'uncertainty.js',
+  'constellations.js',
+  'deeplink.js',
+  'markdown.js',
+  'settings.json',
+  'presets.json',
+  'tracks.json',
+  'tours.json',
+  'story.txt',
+  'coordinates.json',
+  'coordinates.petrie.json',
+  'data/stars.6.json',
+  'data/constellations.lines.json',
+  'data/propermotions.json',
+  'data/starnames.json',
+  'data/constellations.bounds.json',
+  'https://unpkg.com/three@0.182.0/build/three.module.js',
+  'https://unpkg.com/three@0.182.0/examples/jsm/controls/OrbitControls.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => Promise.all(PRECACHE_URLS.map(url =>
+        // Cache what is reachable; a missing CDN at install time must not block offline use
+        cache.add(url).catch(err => console.warn('Precache failed:', url, err))
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(req, { ignoreSearch: true });
+      const network = fetch(req)
+        .then(resp => {
+          if (resp && (resp.ok || resp.type === 'opaque')) cache.put(req, resp.clone());
+          return resp;
+        })
+        .catch(() => null);
+
+      if (cached) {
+        event.waitUntil(network);  // refresh in background
+        return cached;
+      }
+      const resp = await network;
+      return resp || new Response('Offline and not cached', { status: 503, statusText: 'Offline' });
+    })
+  );
+});
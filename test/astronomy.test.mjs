@@ -0,0 +1,148 @@
+// Headless checks of the astronomy engine against published reference values:
+// Vondrák et al. 2011 long-term precession (the SOFA t_sofa_c test vectors for
+// iauLtpecl, iauLtpequ and iauLtp), Julian Dates and Meeus' sidereal time examples.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  deg2rad, mod, TAU,
+  ltp_PECL, ltp_PEQU, ltp_PMAT,
+  julianDayFromYMDHMS, gmstRadians, getExactTransitTime,
+  equatorialToHorizontalUnit, setDeltaTModel, deltaTSeconds,
+  setAtmosphere, getAtmosphere, refractionSaemundsson, daysInMonth
+} from '../astronomy.js';
+
+// Reference values are UT based; keep TT = UT so only the tested formula matters
+setDeltaTModel('none');
+
+function assertClose(actual, expected, tol, what) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected} (tol ${tol})`);
+}
+
+// Angle difference wrapped to [-π, π)
+function angleDiff(a, b) {
+  return mod(a - b + Math.PI, TAU) - Math.PI;
+}
+
+test('ltp_PECL(-1500) matches the Vondrák 2011 ecliptic pole', () => {
+  const v = ltp_PECL(-1500.0);
+  assertClose(v[0], 0.4768625676477096525e-3, 1e-14, 'x');
+  assertClose(v[1], -0.4052259533091875112, 1e-14, 'y');
+  assertClose(v[2], 0.9142164401096448012, 1e-14, 'z');
+});
+
+test('ltp_PEQU(-2500) matches the Vondrák 2011 equator pole', () => {
+  const v = ltp_PEQU(-2500.0);
+  assertClose(v[0], -0.3586652560237326659, 1e-14, 'x');
+  assertClose(v[1], -0.1996978910771128475, 1e-14, 'y');
+  assertClose(v[2], 0.9118552442250819624, 1e-14, 'z');
+});
+
+test('ltp_PMAT(1666.666) matches the Vondrák 2011 precession matrix', () => {
+  const expected = [
+    [0.9967044141159213819, 0.7437801893193210840e-1, 0.3237624409345603401e-1],
+    [-0.7437802731819618167e-1, 0.9972293894454533070, -0.1205768842723593346e-2],
+    [-0.3237622482766575399e-1, -0.1206286039697609008e-2, 0.9994750246704010914]
+  ];
+  const rp = ltp_PMAT(1666.666);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) assertClose(rp[i][j], expected[i][j], 1e-14, `rp[${i}][${j}]`);
+  }
+});
+
+test('julianDayFromYMDHMS gives known Julian Dates (proleptic Gregorian)', () => {
+  assert.equal(julianDayFromYMDHMS(2000, 1, 1, 12, 0, 0), 2451545.0);
+  assert.equal(julianDayFromYMDHMS(1582, 10, 15, 0, 0, 0), 2299160.5);
+  assert.equal(julianDayFromYMDHMS(1957, 10, 4, 19, 26, 24), 2436116.31);  // Meeus ex. 7.a
+  assert.equal(julianDayFromYMDHMS(-4713, 11, 24, 12, 0, 0), 0);           // JD 0 = 1 Jan 4713 BC (Julian)
+});
+
+test('gmstRadians matches Meeus sidereal time examples', () => {
+  // J2000.0: 18h 41m 50.548s
+  assertClose(angleDiff(gmstRadians(2451545.0), deg2rad(280.46061837)), 0, 1e-9, 'J2000');
+  // Meeus ex. 12.a: 1987 April 10, 0h UT -> 13h 10m 46.3668s
+  assertClose(angleDiff(gmstRadians(2446895.5), deg2rad(197.693195)), 0, 1e-7, '1987-04-10 0h');
+  // Meeus ex. 12.b: 1987 April 10, 19h 21m UT -> 8h 34m 57.0896s
+  assertClose(angleDiff(gmstRadians(2446896.30625), deg2rad(128.7378734)), 0, 1e-7, '1987-04-10 19:21');
+});
+
+test('getExactTransitTime returns the moment the local sidereal time equals the RA', () => {
+  const lonRad = deg2rad(31.134);  // Giza
+  const jd0 = julianDayFromYMDHMS(-2500, 6, 21, 0, 0, 0);
+  for (let raDeg = 0; raDeg < 360; raDeg += 15) {
+    const ra = deg2rad(raDeg);
+    const t = getExactTransitTime(jd0, ra, lonRad);
+    assert.ok(t >= 0 && t < 24, `transit ${t} h outside the day`);
+    assertClose(angleDiff(gmstRadians(jd0 + t / 24) + lonRad, ra), 0, 1e-6, `LST at transit, RA ${raDeg}°`);
+  }
+});
+
+test('equatorialToHorizontalUnit puts a transiting star at the right altitude on the meridian', () => {
+  const latRad = deg2rad(29.979);
+  const lonRad = deg2rad(31.134);
+  const jd = 2451545.0;
+  const ra = gmstRadians(jd) + lonRad;  // on the meridian now
+  const south = equatorialToHorizontalUnit(ra, deg2rad(-10), jd, latRad, lonRad);
+  assertClose(Math.asin(south.z), deg2rad(90 - 29.979 - 10), 1e-9, 'altitude');
+  assertClose(south.x, 0, 1e-9, 'east component');
+  assert.ok(south.y < 0, 'culminates due south');
+  const zenith = equatorialToHorizontalUnit(ra, latRad, jd, latRad, lonRad);
+  assertClose(zenith.z, 1, 1e-12, 'zenith');
+});
+
+test('getExactTransitTime wraps a transit just missed by one sidereal day, not 24 h', () => {
+  const lonRad = deg2rad(31.134);
+  const jd0 = julianDayFromYMDHMS(-2500, 6, 21, 0, 0, 0);
+  const siderealDayHours = 24 / 1.00273781191135448;
+  // Transited 0.1° (24 s) before midnight: next transit is late the same UT day
+  const ra = gmstRadians(jd0) + lonRad - deg2rad(0.1);
+  const t = getExactTransitTime(jd0, ra, lonRad);
+  assertClose(t, siderealDayHours - 0.1 / 15.041, 1e-3, 'next transit (h)');
+  assertClose(angleDiff(gmstRadians(jd0 + t / 24) + lonRad, ra), 0, 1e-6, 'LST at transit');
+});
+
+test('deltaTSeconds follows the Morrison–Stephenson 2004 table at its nodes', () => {
+  assert.equal(deltaTSeconds(-400, 'ms2004'), 15530);
+  assert.equal(deltaTSeconds(0, 'ms2004'), 10580);
+  assert.equal(deltaTSeconds(1000, 'ms2004'), 1570);
+  assertClose(deltaTSeconds(1600, 'ms2004'), 120, 0.5, 'ΔT 1600');
+});
+
+test('deltaTSeconds has no jump where a long-term model hands over', () => {
+  // Worst change over one month anywhere in 3000 BC – AD 2100
+  for (const model of ['ms2004', 'smh2016']) {
+    let prev = deltaTSeconds(-3000, model);
+    for (let y = -3000 + 1/12; y <= 2100; y += 1/12) {
+      const dt = deltaTSeconds(y, model);
+      assert.ok(Math.abs(dt - prev) < 3, `${model} jumps ${(dt - prev).toFixed(1)} s at ${y.toFixed(2)}`);
+      prev = dt;
+    }
+  }
+});
+
+test('setAtmosphere keeps temperature, pressure and k physical', () => {
+  const saved = getAtmosphere();
+  setAtmosphere({ temperatureC: -273, pressureHPa: -5, extinctionK: -1 });
+  assert.deepEqual(
+    [getAtmosphere().temperatureC, getAtmosphere().pressureHPa, getAtmosphere().extinctionK], [-90, 0, 0]);
+  setAtmosphere({ temperatureC: -300, pressureHPa: 1010 });
+  assert.ok(refractionSaemundsson(0) > 0, 'refraction keeps its sign');
+  setAtmosphere({ temperatureC: 500 });
+  assert.equal(getAtmosphere().temperatureC, 60);
+  setAtmosphere({ temperatureC: NaN });
+  assert.equal(getAtmosphere().temperatureC, 60);
+  setAtmosphere(saved);
+});
+
+test('daysInMonth follows each calendar\'s month lengths and leap rule', () => {
+  assert.equal(daysInMonth('gregorian', 2024, 2), 29);
+  assert.equal(daysInMonth('gregorian', 1900, 2), 28);   // century, not leap in Gregorian
+  assert.equal(daysInMonth('julian', 1900, 2), 29);      // ... but leap in Julian
+  assert.equal(daysInMonth('gregorian', 0, 2), 29);      // 1 BC
+  assert.equal(daysInMonth('julian', -1, 2), 28);        // 2 BC
+  assert.equal(daysInMonth('gregorian', 2024, 4), 30);
+  assert.equal(daysInMonth('julian', -2500, 1), 31);
+  assert.equal(daysInMonth('egyptian', 1, 12), 30);
+  assert.equal(daysInMonth('egyptian', 1, 13), 5);
+  assert.equal(daysInMonth('gregorian', 2024, 13), 0);
+  assert.equal(daysInMonth('egyptian', 1, 0), 0);
+});
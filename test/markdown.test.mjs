@@ -0,0 +1,64 @@
+// Headless checks of the story Markdown renderer: stories come from imported presets
+// and tour files, so only allow-listed schemes and escaped text may reach the HTML.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../markdown.js';
+
+function inline(text) {
+  return renderMarkdown(text).replace(/^<p>|<\/p>$/g, '');
+}
+
+test('links keep only allow-listed schemes', () => {
+  assert.equal(inline('[a](https://example.org/x)'),
+    '<a href="https://example.org/x" target="_blank" rel="noopener noreferrer">a</a>');
+  assert.equal(inline('[a](mailto:someone@example.org)'),
+    '<a href="mailto:someone@example.org" target="_blank" rel="noopener noreferrer">a</a>');
+  assert.equal(inline('[a](notes/khufu.html)'), '<a href="notes/khufu.html">a</a>');
+  for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', 'data:text/html,x', 'vbscript:msgbox(1)']) {
+    assert.ok(!/<a|href/.test(inline(`[a](${url})`)), url);
+  }
+  assert.equal(inline('[a](javascript:alert(1))'), 'a');
+});
+
+test('images keep only http(s) and relative sources', () => {
+  assert.equal(inline('![Khufu](img/khufu.jpg)'), '<img src="img/khufu.jpg" alt="Khufu" loading="lazy">');
+  assert.equal(inline('![x](javascript:alert(1))'), 'x');
+  assert.equal(inline('![x](data:image/svg+xml,y)'), 'x');
+});
+
+test('entity-encoded schemes stay inert text inside an escaped href', () => {
+  const html = inline('[a](&#106;avascript:alert(1))');
+  assert.ok(!/href="javascript:/i.test(html), html);
+  assert.ok(html.includes('&amp;#106;'), html);
+});
+
+test('text and attributes are escaped, raw tags never pass', () => {
+  assert.equal(inline('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.equal(inline('[a](x"onmouseover="alert(1))'), '<a href="x&quot;onmouseover=&quot;alert(1)">a</a>');
+  assert.equal(inline('![a" onerror="alert(1)](x.png)'), '<img src="x.png" alt="a&quot; onerror=&quot;alert(1)" loading="lazy">');
+  assert.ok(!renderMarkdown('Note[^n]\n[^n]: "><img src=x onerror=alert(1)>').includes('<img'));
+});
+
+test('action links carry their argument escaped in data-arg', () => {
+  assert.equal(inline('[go](preset:khufu2600)'),
+    '<a href="#" class="story-action" data-action="preset" data-arg="khufu2600">go</a>');
+  assert.equal(inline('[go](state:year=-10500&origin=sphinx)'),
+    '<a href="#" class="story-action" data-action="state" data-arg="year=-10500&amp;origin=sphinx">go</a>');
+  assert.equal(inline('[go](year:1"onclick="alert(1))'),
+    '<a href="#" class="story-action" data-action="year" data-arg="1&quot;onclick=&quot;alert(1)">go</a>');
+});
+
+test('emphasis nests and unclosed delimiters stay literal', () => {
+  assert.equal(inline('**bold *it***'), '<strong>bold <em>it</em></strong>');
+  assert.equal(inline('*a **b** c*'), '<em>a <strong>b</strong> c</em>');
+  assert.equal(inline('**a `*` b**'), '<strong>a <code>*</code> b</strong>');
+  assert.equal(inline('a * b ** c'), 'a * b ** c');
+});
+
+test('unclosed delimiters and brackets render in linear time', () => {
+  for (const text of ['**a '.repeat(20000), '*a **b '.repeat(10000), '[a '.repeat(20000)]) {
+    const t0 = performance.now();
+    renderMarkdown(text);
+    assert.ok(performance.now() - t0 < 1000, `${text.slice(0, 8)}... took ${(performance.now() - t0).toFixed(0)} ms`);
+  }
+});
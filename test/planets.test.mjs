@@ -0,0 +1,38 @@
+// Headless checks of the Sun model in planets.js: its position at J2000 and the
+// solstice instants and civil dawns the dawn locks are built on.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deg2rad, mod, TAU, julianDayFromYMDHMS, setDeltaTModel, julianEpochFromJD } from '../astronomy.js';
+import { sunRaDecOfDate, obliquityOfDate, findSolarLongitudeInstantUT, findCivilDawnUTHours } from '../planets.js';
+
+setDeltaTModel('none');
+
+function assertClose(actual, expected, tol, what) {
+  assert.ok(Math.abs(actual - expected) <= tol, `${what}: ${actual} vs ${expected} (tol ${tol})`);
+}
+
+function angleDiff(a, b) {
+  return mod(a - b + Math.PI, TAU) - Math.PI;
+}
+
+test('sunRaDecOfDate agrees with the Sun at J2000.0 to a few arcminutes', () => {
+  // Astronomical Almanac 2000: apparent RA 18h 45m 09s, Dec -23° 00.8' at 2000-01-01 12h TT
+  const { ra, dec } = sunRaDecOfDate(2451545.0);
+  assertClose(angleDiff(ra, deg2rad(281.2875)), 0, deg2rad(0.05), 'RA');
+  assertClose(dec, deg2rad(-23.0133), deg2rad(0.05), 'Dec');
+});
+
+test('sunRaDecOfDate puts the Sun on the solstitial colure at the June solstice, also in deep time', () => {
+  for (const y of [2000, -2500, -10500, -25000, -47000, -100000]) {
+    const jd = findSolarLongitudeInstantUT(y, 90);
+    const { ra, dec } = sunRaDecOfDate(jd);
+    assertClose(angleDiff(ra, Math.PI / 2), 0, deg2rad(0.02), `RA ${y}`);
+    assertClose(dec, obliquityOfDate(julianEpochFromJD(jd)), deg2rad(0.02), `Dec ${y}`);
+  }
+});
+
+test('findCivilDawnUTHours finds the Sun 6° below the horizon before sunrise at Giza', () => {
+  // 2000-06-21 at Giza: civil dawn about 04:26 EET = 02:26 UT (almanac value for Cairo, 31.24° E)
+  const t = findCivilDawnUTHours(2000, 173, 29.9792, 31.1342);
+  assertClose(t, 2 + 26 / 60, 3 / 60, 'dawn (h UT)');
+});
@@ -0,0 +1,42 @@
+// -----------------------------
+// Monte Carlo helpers for uncertainty propagation (pure math, no rendering)
+// Parameters are sampled as independent Gaussians (1σ); results are summarized
+// by percentiles rather than mean ± σ because alignment epochs can be skewed.
+// -----------------------------
+
+// Seeded generator (mulberry32) so repeated searches give the same bands
+export function createRng(seed = 1) {
+  let a = seed >>> 0;
+  const uniform = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // Box-Muller; one value per call is plenty for a few hundred samples
+  const normal = () => {
+    const u = 1 - uniform();  // (0, 1]
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * uniform());
+  };
+  return { uniform, normal };
+}
+
+// Linear-interpolated percentile of an ascending array, p in [0, 100]
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const i = (sorted.length - 1) * p / 100;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+// { n, median, ci68: [lo, hi], ci95: [lo, hi] } of a set of samples
+export function summarizeSamples(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    median: percentile(sorted, 50),
+    ci68: [percentile(sorted, 15.87), percentile(sorted, 84.13)],
+    ci95: [percentile(sorted, 2.5), percentile(sorted, 97.5)]
+  };
+}